@@ -1,14 +1,125 @@
 // Capsera PWA - Main Application Logic
 // Mobile-first offline-capable idea submission app
 
+// PBKDF2 work factor for PINs and safety codes. Kept at a level that still
+// unlocks in about a second on low-end phones.
+const PIN_HASH_ITERATIONS = 150000;
+
+// Fields left readable in stored records so they can still be indexed,
+// cascaded and purged while the owning user is locked. Everything else is
+// encrypted with that user's data key.
+const PROJECT_CLEAR_FIELDS = [
+  "id",
+  "userId",
+  "deleted",
+  "deletedAt",
+  "createdAt",
+];
+const DRAFT_CLEAR_FIELDS = ["projectId", "draftNumber"];
+const AUTOSAVE_CLEAR_FIELDS = ["userId", "projectId", "draftNumber"];
+const MEDIA_CLEAR_FIELDS = ["userId", "projectId", "draftNumber", "questionId"];
+
+// Final drafts scoring above this are offered a mentor
+const MENTOR_SCORE_THRESHOLD = 80;
+
+// Mentor request progress; everything after "sent" is set by the team
+const MENTOR_STEPS = [
+  { status: "requested", label: "Request saved" },
+  { status: "sent", label: "Sent to the Capsera team" },
+  { status: "matched", label: "Mentor found" },
+  { status: "contacted", label: "Mentor got in touch" },
+];
+
+const MENTOR_CHANNELS = [
+  { value: "email", label: "Email" },
+  { value: "whatsapp", label: "WhatsApp" },
+  { value: "phone", label: "Phone call" },
+];
+
+// Quick-pick languages for translation and mentor matching
+const APP_LANGUAGES = [
+  { code: "hi", name: "Hindi" },
+  { code: "bn", name: "Bengali" },
+  { code: "te", name: "Telugu" },
+  { code: "mr", name: "Marathi" },
+  { code: "ta", name: "Tamil" },
+  { code: "gu", name: "Gujarati" },
+  { code: "ur", name: "Urdu" },
+  { code: "ml", name: "Malayalam" },
+];
+
+// Pause in typing before in-progress answers are autosaved
+const AUTOSAVE_DELAY_MS = 1000;
+
+// Product photos are downscaled and re-encoded on the device, since phone
+// camera files are large and mobile data is expensive
+const PHOTO_MAX_DIMENSION = 1024;
+const PHOTO_JPEG_QUALITY = 0.7;
+const PHOTO_BUCKET = "project-photos";
+
+// Voice answers are recorded at speech quality and capped in length
+const VOICE_BITS_PER_SECOND = 24000;
+const VOICE_MAX_SECONDS = 180;
+
+// Grading endpoint; window.ENV.GRADING_URL can point at mock/grading-server.js
+const DEFAULT_GRADING_URL = "/.netlify/functions/grade-draft";
+const GRADING_TIMEOUT_MS = 30000;
+
+// Drafts that could not be graded are retried with a doubling delay
+const GRADING_RETRY_BASE_SECONDS = 30;
+const GRADING_RETRY_MAX_SECONDS = 30 * 60;
+
+// How each kind of outbox entry is named in the pending-items bar
+const OUTBOX_LABELS = {
+  feedback: "Your feedback",
+  projects_final: "A final project",
+  mentor_requests: "A mentor request",
+};
+
+// Portable, PIN-encrypted single-user backup file
+const BACKUP_FORMAT = "capsera-user-backup";
+const BACKUP_VERSION = 1;
+
+// Animated QR transfer: the encrypted backup is split into frames that the
+// sending screen cycles through and the receiving camera reassembles
+const QR_FRAME_PREFIX = "CPSR1";
+const QR_CHUNK_SIZE = 500;
+const QR_FRAME_INTERVAL_MS = 400;
+const QR_LIBRARY_URL =
+  "https://cdn.jsdelivr.net/npm/qrcode-generator@1.4.4/qrcode.js";
+const QR_SCANNER_URL = "https://cdn.jsdelivr.net/npm/jsqr@1.4.0/dist/jsQR.js";
+
+// Days a deleted user stays in "Recently deleted" before being purged
+const RESTORE_WINDOW_DAYS = 30;
+
+// Wrong PIN / safety code attempts allowed before lockouts start. Each
+// further failure doubles the wait, up to a day.
+const FREE_SECRET_ATTEMPTS = 3;
+const LOCKOUT_BASE_SECONDS = 30;
+const LOCKOUT_MAX_SECONDS = 24 * 60 * 60;
+
+// Idle time before the signed-in user is locked again (0 = never)
+const DEFAULT_AUTO_LOCK_MINUTES = 5;
+const AUTO_LOCK_OPTIONS = [1, 2, 5, 10, 30, 0];
+
 class CapseraApp {
   constructor() {
     this.currentScreen = "global";
     this.currentUser = null;
     this.currentProject = null;
     this.supabase = null;
+    this.db = new CapseraDB();
+    this.users = [];
+    this.projects = [];
+    this.userKeys = {};
+    this.gradingInFlight = new Set();
+    this.outbox = [];
     this.translations = {};
     this.currentLanguage = "en";
+    this.autoLockMinutes = DEFAULT_AUTO_LOCK_MINUTES;
+    this.idleTimer = null;
+    this.activeDraft = null;
+    this.autosaveTimer = null;
 
     this.init();
   }
@@ -28,6 +139,19 @@ class CapseraApp {
     // Setup event listeners
     this.setupEventListeners();
 
+    // Load local users, projects and drafts
+    await this.loadLocalData();
+
+    // The service worker reads the Supabase config from IndexedDB when it
+    // drains the outbox on its own
+    const supabaseConfig = this.getSupabaseConfig();
+    if (supabaseConfig) {
+      this.db
+        .setMeta("supabaseConfig", supabaseConfig)
+        .catch((error) => console.error("Error saving config:", error));
+    }
+    this.flushOutbox();
+
     // Show initial screen
     this.showScreen("global");
 
@@ -35,23 +159,134 @@ class CapseraApp {
     this.loadGlobalIdeas();
   }
 
-  // Local Storage Management
+  // Local Data Management
+  // Users, projects and drafts live in IndexedDB. Users are cached in memory
+  // at startup; projects and drafts are encrypted per user and only loaded
+  // into memory once that user has been unlocked with their PIN.
+  async loadLocalData() {
+    try {
+      await this.importLocalStorageData();
+      this.users = await this.db.getAll("users");
+      await this.purgeExpiredUsers();
+      await this.hashLegacySafetyCodes();
+    } catch (error) {
+      console.error("Error loading local data:", error);
+      this.showMessage("Could not open local storage on this device", "error");
+    }
+  }
+
+  // Decrypt an unlocked user's projects and drafts into memory
+  async loadUserProjects(userId) {
+    const projects = await this.readUserProjects(
+      userId,
+      this.getUserKey(userId)
+    );
+
+    this.projects = this.projects
+      .filter((p) => p.userId !== userId)
+      .concat(projects);
+  }
+
+  // Decrypt a user's projects with their drafts attached. Records written
+  // before encryption existed are sealed on the way through once the user
+  // is signed in.
+  async readUserProjects(userId, key) {
+    const records = await this.db.getAllFromIndex("projects", "userId", userId);
+    const canSeal = Boolean(this.userKeys[userId]);
+    const projects = [];
+
+    for (const record of records) {
+      const project = record.sealed
+        ? await this.openRecord(record, key)
+        : record;
+      const draftRecords = await this.db.getAllFromIndex(
+        "drafts",
+        "projectId",
+        project.id
+      );
+
+      project.drafts = [];
+      for (const draftRecord of draftRecords) {
+        const draft = draftRecord.sealed
+          ? await this.openRecord(draftRecord, key)
+          : draftRecord;
+        project.drafts.push(draft);
+        if (!draftRecord.sealed && canSeal) {
+          await this.saveDraftRecord(draft, userId);
+        }
+      }
+
+      if (!record.sealed && canSeal) await this.saveProject(project);
+      projects.push(project);
+    }
+
+    return projects;
+  }
+
+  // One-time import of the localStorage blobs used before IndexedDB. The old
+  // keys are only removed after the import transaction has committed.
+  async importLocalStorageData() {
+    if (await this.db.getMeta("localStorageImported")) return;
+
+    const users = JSON.parse(localStorage.getItem("capsera_users") || "[]");
+    const projects = JSON.parse(
+      localStorage.getItem("capsera_projects") || "[]"
+    );
+
+    await this.db.transaction(
+      ["users", "projects", "drafts", "meta"],
+      "readwrite",
+      (stores) => {
+        users.forEach((user) => stores.users.put(user));
+        projects.forEach((project) => {
+          stores.projects.put(this.toProjectRecord(project));
+          (project.drafts || []).forEach((draft) => {
+            stores.drafts.put({ ...draft, projectId: project.id });
+          });
+        });
+        stores.meta.put({
+          key: "localStorageImported",
+          value: new Date().toISOString(),
+        });
+      }
+    );
+
+    localStorage.removeItem("capsera_users");
+    localStorage.removeItem("capsera_projects");
+  }
+
   getUsers() {
-    const data = localStorage.getItem("capsera_users");
-    return data ? JSON.parse(data) : [];
+    return this.users;
   }
 
-  saveUsers(users) {
-    localStorage.setItem("capsera_users", JSON.stringify(users));
+  saveUser(user) {
+    return this.db.put("users", user);
   }
 
   getProjects() {
-    const data = localStorage.getItem("capsera_projects");
-    return data ? JSON.parse(data) : [];
+    return this.projects;
   }
 
-  saveProjects(projects) {
-    localStorage.setItem("capsera_projects", JSON.stringify(projects));
+  async saveProject(project) {
+    const key = this.getUserKey(project.userId);
+    const record = await this.sealRecord(
+      this.toProjectRecord(project),
+      PROJECT_CLEAR_FIELDS,
+      key
+    );
+    return this.db.put("projects", record);
+  }
+
+  async saveDraftRecord(draft, userId) {
+    const key = this.getUserKey(userId);
+    const record = await this.sealRecord(draft, DRAFT_CLEAR_FIELDS, key);
+    return this.db.put("drafts", record);
+  }
+
+  // Drafts are stored in their own object store, not inside the project
+  toProjectRecord(project) {
+    const { drafts, ...record } = project;
+    return record;
   }
 
   loadSettings() {
@@ -60,6 +295,9 @@ class CapseraApp {
       const parsed = JSON.parse(settings);
       this.currentLanguage = parsed.language || "en";
       this.translations = parsed.translations || {};
+      if (parsed.autoLockMinutes !== undefined) {
+        this.autoLockMinutes = parsed.autoLockMinutes;
+      }
     }
   }
 
@@ -67,12 +305,13 @@ class CapseraApp {
     const settings = {
       language: this.currentLanguage,
       translations: this.translations,
+      autoLockMinutes: this.autoLockMinutes,
     };
     localStorage.setItem("capsera_settings", JSON.stringify(settings));
   }
 
   // User Management
-  createUser(name, pin, safetyCode) {
+  async createUser(name, pin, safetyCode) {
     const users = this.getUsers();
 
     // Check for duplicate active usernames
@@ -80,996 +319,4264 @@ class CapseraApp {
       throw new Error("Username already exists");
     }
 
+    const dataKey = await this.generateDataKey();
     const newUser = {
       id: "u" + Date.now(),
       name: name,
-      pin: this.hashPin(pin),
-      safetyCode: safetyCode,
+      pin: await this.hashSecret(pin),
+      safetyCode: await this.hashSecret(safetyCode),
+      keys: {
+        pin: await this.wrapDataKey(dataKey, pin),
+        safetyCode: await this.wrapDataKey(dataKey, safetyCode),
+      },
       deleted: false,
       createdAt: new Date().toISOString(),
     };
 
+    await this.saveUser(newUser);
     users.push(newUser);
-    this.saveUsers(users);
+    this.userKeys[newUser.id] = dataKey;
     return newUser;
   }
 
-  deleteUser(userId, pin) {
+  async deleteUser(userId, pin) {
     const users = this.getUsers();
     const user = users.find((u) => u.id === userId);
 
-    if (!user || !this.verifyPin(pin, user.pin)) {
+    if (!user || !(await this.checkSecret(user, "pin", "delete", pin))) {
       throw new Error("Invalid pin");
     }
 
-    // Soft delete user
+    // Soft delete user; it can be restored until the window runs out
+    const deletedAt = new Date().toISOString();
     user.deleted = true;
-
-    // Cascade delete: remove all local projects for this user
-    const projects = this.getProjects();
-    projects.forEach((p) => {
-      if (p.userId === userId) {
+    user.deletedAt = deletedAt;
+
+    // Cascade delete: remove all local projects for this user. The deleted
+    // flags are stored in the clear, so this works while the user is locked.
+    const records = await this.db.getAllFromIndex("projects", "userId", userId);
+    const active = records.filter((record) => !record.deleted);
+    this.getProjects().forEach((p) => {
+      if (p.userId === userId && !p.deleted) {
         p.deleted = true;
+        p.deletedAt = deletedAt;
       }
     });
 
-    this.saveUsers(users);
-    this.saveProjects(projects);
+    await this.db.transaction(["users", "projects"], "readwrite", (stores) => {
+      stores.users.put(user);
+      active.forEach((record) => {
+        stores.projects.put({ ...record, deleted: true, deletedAt });
+      });
+    });
 
     // Mark final projects in Supabase as deleted_local_user
     this.markFinalProjectsDeleted(user.name);
   }
 
-  async markFinalProjectsDeleted(userName) {
+  // Bring back a user from "Recently deleted" together with the projects
+  // that were removed with them
+  async restoreUser(userId, pin) {
+    const user = this.getUsers().find((u) => u.id === userId && u.deleted);
+
+    if (!user || !(await this.checkSecret(user, "pin", "restore", pin))) {
+      throw new Error("Invalid pin");
+    }
+
+    if (this.getUsers().find((u) => u.name === user.name && !u.deleted)) {
+      throw new Error(
+        `A user named ${user.name} already exists. Delete or rename it first.`
+      );
+    }
+
+    const records = await this.db.getAllFromIndex("projects", "userId", userId);
+    const cascaded = records.filter((r) => r.deletedAt === user.deletedAt);
+
+    user.deleted = false;
+    delete user.deletedAt;
+
+    await this.db.transaction(["users", "projects"], "readwrite", (stores) => {
+      stores.users.put(user);
+      cascaded.forEach(({ deletedAt, ...record }) => {
+        stores.projects.put({ ...record, deleted: false });
+      });
+    });
+
+    this.markFinalProjectsDeleted(user.name, false);
+  }
+
+  getRestoreDeadline(user) {
+    const deadline = new Date(user.deletedAt);
+    deadline.setDate(deadline.getDate() + RESTORE_WINDOW_DAYS);
+    return deadline;
+  }
+
+  // Permanently remove users whose restore window has passed, along with
+  // every project, draft and attachment they owned
+  async purgeExpiredUsers() {
+    const now = new Date();
+    const expired = [];
+
+    for (const user of this.users.filter((u) => u.deleted)) {
+      // Users deleted before the trash existed start their window now
+      if (!user.deletedAt) {
+        user.deletedAt = now.toISOString();
+        await this.saveUser(user);
+      } else if (this.getRestoreDeadline(user) <= now) {
+        expired.push(user);
+      }
+    }
+
+    for (const user of expired) {
+      const projects = await this.db.getAllFromIndex(
+        "projects",
+        "userId",
+        user.id
+      );
+      const autosaveKeys = await this.db.run("autosaves", "readonly", (store) =>
+        store.index("userId").getAllKeys(user.id)
+      );
+      const mediaKeys = await this.db.run("media", "readonly", (store) =>
+        store.index("userId").getAllKeys(user.id)
+      );
+
+      await this.db.transaction(
+        ["users", "projects", "drafts", "autosaves", "media"],
+        "readwrite",
+        (stores) => {
+          stores.users.delete(user.id);
+          autosaveKeys.forEach((key) => stores.autosaves.delete(key));
+          mediaKeys.forEach((key) => stores.media.delete(key));
+          projects.forEach((project) => {
+            stores.projects.delete(project.id);
+            stores.drafts.index("projectId").getAllKeys(project.id).onsuccess =
+              (event) => {
+                event.target.result.forEach((key) => stores.drafts.delete(key));
+              };
+          });
+        }
+      );
+    }
+
+    this.users = this.users.filter((u) => !expired.includes(u));
+  }
+
+  async markFinalProjectsDeleted(userName, deleted = true) {
     if (!this.supabase) return;
 
     try {
       await this.supabase
         .from("projects_final")
-        .update({ deleted_local_user: true })
+        .update({ deleted_local_user: deleted })
         .eq("local_user_name", userName);
     } catch (error) {
       console.error("Error marking projects deleted:", error);
     }
   }
 
-  changeUserPin(userId, safetyCode, newPin) {
-    const users = this.getUsers();
-    const user = users.find((u) => u.id === userId);
+  // Backup Export / Import
+  // A backup holds one user's profile, projects, drafts and media, encrypted
+  // with a key derived from their PIN. The user's own data key and its
+  // wrappings travel inside it, so the PIN and safety code keep working after
+  // import.
+  async exportUser(userId, pin, { includeMedia = true } = {}) {
+    const user = this.getUsers().find((u) => u.id === userId && !u.deleted);
 
-    if (!user || user.safetyCode !== safetyCode) {
-      throw new Error("Invalid safety code");
+    if (!user || !(await this.checkSecret(user, "pin", "export", pin))) {
+      throw new Error("Invalid pin");
+    }
+    if (!user.keys) {
+      throw new Error("Sign in as this user once before exporting");
     }
 
-    user.pin = this.hashPin(newPin);
-    this.saveUsers(users);
+    const key =
+      this.userKeys[userId] || (await this.unwrapDataKey(user.keys.pin, pin));
+    const projects = (await this.readUserProjects(userId, key)).filter(
+      (p) => !p.deleted
+    );
+    const media = includeMedia
+      ? await this.readUserMedia(
+          projects.map((p) => p.id),
+          key
+        )
+      : [];
+
+    const payload = {
+      user: {
+        name: user.name,
+        pin: user.pin,
+        safetyCode: user.safetyCode,
+        keys: user.keys,
+        createdAt: user.createdAt,
+      },
+      projects,
+      media,
+    };
+
+    return {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      exportedAt: new Date().toISOString(),
+      ...(await this.encryptWithSecret(payload, pin)),
+    };
   }
 
-  hashPin(pin) {
-    // Simple hash for MVP - in production use proper bcrypt
-    return btoa(pin + "capsera_salt").replace(/[^a-zA-Z0-9]/g, "");
+  async importUser(backup, pin) {
+    if (!backup || backup.format !== BACKUP_FORMAT) {
+      throw new Error("This is not a Capsera backup file");
+    }
+    if (backup.version > BACKUP_VERSION) {
+      throw new Error("This backup was made by a newer version of Capsera");
+    }
+
+    let payload;
+    try {
+      payload = await this.decryptWithSecret(backup, pin);
+    } catch (error) {
+      throw new Error("Wrong PIN or damaged backup file");
+    }
+
+    const users = this.getUsers();
+    if (users.find((u) => u.name === payload.user.name && !u.deleted)) {
+      throw new Error(
+        `A user named ${payload.user.name} already exists on this device`
+      );
+    }
+
+    const dataKey = await this.unwrapDataKey(payload.user.keys.pin, pin);
+
+    // Ids are generated from Date.now() on each device, so give everything
+    // fresh ids that cannot collide with records already stored here
+    const takenIds = new Set([
+      ...users.map((u) => u.id),
+      ...(await this.db.getAllKeys("projects")),
+    ]);
+    const user = {
+      ...payload.user,
+      id: this.generateId("u", takenIds),
+      deleted: false,
+    };
+
+    const projectRecords = [];
+    const draftRecords = [];
+    const projectIds = {};
+    for (const { drafts, ...project } of payload.projects) {
+      const projectId = this.generateId("p", takenIds);
+      projectIds[project.id] = projectId;
+      projectRecords.push(
+        await this.sealRecord(
+          { ...project, id: projectId, userId: user.id },
+          PROJECT_CLEAR_FIELDS,
+          dataKey
+        )
+      );
+      for (const draft of drafts) {
+        draftRecords.push(
+          await this.sealRecord(
+            { ...draft, projectId },
+            DRAFT_CLEAR_FIELDS,
+            dataKey
+          )
+        );
+      }
+    }
+
+    // Backups made before photos existed have no media list
+    const mediaRecords = [];
+    for (const photo of payload.media || []) {
+      mediaRecords.push(
+        await this.sealRecord(
+          {
+            ...photo,
+            userId: user.id,
+            projectId: projectIds[photo.projectId],
+          },
+          MEDIA_CLEAR_FIELDS,
+          dataKey
+        )
+      );
+    }
+
+    await this.db.transaction(
+      ["users", "projects", "drafts", "media"],
+      "readwrite",
+      (stores) => {
+        stores.users.put(user);
+        projectRecords.forEach((r) => stores.projects.put(r));
+        draftRecords.forEach((r) => stores.drafts.put(r));
+        mediaRecords.forEach((r) => stores.media.put(r));
+      }
+    );
+
+    users.push(user);
+    return user;
   }
 
-  verifyPin(inputPin, hashedPin) {
-    return this.hashPin(inputPin) === hashedPin;
+  generateId(prefix, takenIds) {
+    let n = Date.now();
+    while (takenIds.has(prefix + n)) n++;
+    takenIds.add(prefix + n);
+    return prefix + n;
   }
 
-  // Project Management
-  createProject(userId, name) {
-    const projects = this.getProjects();
+  async changeUserPin(userId, safetyCode, newPin) {
+    const users = this.getUsers();
+    const user = users.find((u) => u.id === userId);
 
-    // Check for duplicate active project names for this user
     if (
-      projects.find((p) => p.userId === userId && p.name === name && !p.deleted)
+      !user ||
+      !(await this.checkSecret(user, "safetyCode", "change-pin", safetyCode))
     ) {
-      throw new Error("Project name already exists");
+      throw new Error("Invalid safety code");
     }
 
-    const newProject = {
-      id: "p" + Date.now(),
-      userId: userId,
-      name: name,
-      deleted: false,
-      drafts: [],
-      createdAt: new Date().toISOString(),
-    };
+    // Re-wrap the existing data key so the user's drafts stay readable
+    if (user.keys) {
+      const dataKey =
+        this.userKeys[userId] ||
+        (await this.unwrapDataKey(user.keys.safetyCode, safetyCode));
+      user.keys.pin = await this.wrapDataKey(dataKey, newPin);
+    }
 
-    projects.push(newProject);
-    this.saveProjects(projects);
-    return newProject;
+    user.pin = await this.hashSecret(newPin);
+    await this.saveUser(user);
   }
 
-  // Draft Management
-  saveDraft(projectId, draftNumber, answers) {
-    const projects = this.getProjects();
-    const project = projects.find((p) => p.id === projectId);
+  // Check the PIN and bring the user's data key and projects into memory.
+  // Users created before encryption get their data key here; their safety
+  // code is needed once so the key can also be recovered after a PIN reset.
+  async unlockUser(userId, pin, safetyCode) {
+    const user = this.getUsers().find((u) => u.id === userId && !u.deleted);
 
-    if (!project) throw new Error("Project not found");
+    if (!user || !(await this.checkSecret(user, "pin", "sign-in", pin))) {
+      throw new Error("Invalid pin");
+    }
 
-    // Find existing draft or create new one
-    let draft = project.drafts.find((d) => d.draftNumber === draftNumber);
-    if (!draft) {
-      draft = {
-        draftNumber: draftNumber,
-        answers: {},
-        aiScore: null,
-        aiFeedback: null,
-        createdAt: new Date().toISOString(),
+    if (user.keys) {
+      this.userKeys[userId] = await this.unwrapDataKey(user.keys.pin, pin);
+    } else {
+      const validCode = await this.checkSecret(
+        user,
+        "safetyCode",
+        "sign-in",
+        safetyCode || ""
+      );
+      if (!validCode) {
+        throw new Error("Invalid safety code");
+      }
+
+      const dataKey = await this.generateDataKey();
+      user.keys = {
+        pin: await this.wrapDataKey(dataKey, pin),
+        safetyCode: await this.wrapDataKey(dataKey, safetyCode),
       };
-      project.drafts.push(draft);
+      await this.saveUser(user);
+      this.userKeys[userId] = dataKey;
     }
 
-    draft.answers = answers;
-    draft.updatedAt = new Date().toISOString();
-
-    this.saveProjects(projects);
-    return draft;
+    await this.loadUserProjects(userId);
+    this.processGradingQueue();
   }
 
-  async gradeDraft(projectId, draftNumber) {
-    const projects = this.getProjects();
-    const project = projects.find((p) => p.id === projectId);
-    const draft = project.drafts.find((d) => d.draftNumber === draftNumber);
+  // Forget the data key and drop the decrypted projects from memory
+  lockUser(userId) {
+    delete this.userKeys[userId];
+    this.projects = this.projects.filter((p) => p.userId !== userId);
+  }
 
-    if (!draft) throw new Error("Draft not found");
+  signOut() {
+    if (!this.currentUser) return;
+    this.switchUser(null);
+    this.showMessage("Signed out", "info");
+  }
 
-    // Get AI feedback (stub implementation)
-    const feedback = await this.getAIFeedback(
-      draft.answers,
-      draftNumber,
-      project.drafts
+  // Auto-lock
+  // Any interaction restarts the idle timer. Time spent in the background
+  // counts too, since timers are throttled while the tab is hidden.
+  resetIdleTimer() {
+    clearTimeout(this.idleTimer);
+    this.lastActivityAt = Date.now();
+    if (!this.currentUser || !this.autoLockMinutes) return;
+
+    this.idleTimer = setTimeout(
+      () => this.autoLock(),
+      this.autoLockMinutes * 60 * 1000
     );
+  }
 
-    draft.aiScore = feedback.score;
-    draft.aiFeedback = feedback.feedback;
-    draft.gradedAt = new Date().toISOString();
-
-    this.saveProjects(projects);
+  checkIdleLock() {
+    if (!this.currentUser || !this.autoLockMinutes) return;
 
-    // If this is draft 3 (final), submit to Supabase
-    if (draftNumber === 3) {
-      await this.submitFinalProject(project, draft);
+    const idleMs = Date.now() - (this.lastActivityAt || Date.now());
+    if (idleMs >= this.autoLockMinutes * 60 * 1000) {
+      this.autoLock();
     }
-
-    return feedback;
   }
 
-  async submitFinalProject(project, finalDraft) {
-    if (!this.supabase) return;
-
-    const user = this.getUsers().find((u) => u.id === project.userId);
-    if (!user) return;
+  autoLock() {
+    if (!this.currentUser) return;
 
-    try {
-      const payload = {
-        local_user_name: user.name,
-        project_name: project.name,
-        project_payload: {
-          drafts: project.drafts,
-          finalAnswers: finalDraft.answers,
-          projectId: project.id,
-        },
-        ai_score: finalDraft.aiScore,
-        ai_feedback: finalDraft.aiFeedback,
-        contact_email: finalDraft.answers.contact_email || null,
-      };
+    // Close any open modal so nothing from the locked user stays on screen
+    document.querySelectorAll(".modal-overlay").forEach((m) => m.remove());
+    this.switchUser(null);
+    this.loadScreenData(this.currentScreen);
+    this.showMessage(
+      "Locked after inactivity. Enter your PIN to continue.",
+      "info"
+    );
+  }
 
-      await this.supabase.from("projects_final").insert([payload]);
-    } catch (error) {
-      console.error("Error submitting final project:", error);
-    }
+  setAutoLockMinutes(minutes) {
+    this.autoLockMinutes = minutes;
+    this.saveSettings();
+    this.resetIdleTimer();
+    this.loadSecuritySettings();
   }
 
-  // AI Feedback System (Stub)
-  async getAIFeedback(answers, draftNumber, allDrafts) {
-    // Simulate OpenAI API call
-    // In production, this would call Netlify function with process.env.OPENAI_API_KEY
+  getUserKey(userId) {
+    const key = this.userKeys[userId];
+    if (!key) throw new Error("User is locked");
+    return key;
+  }
 
-    const previousDraft = allDrafts.find(
-      (d) => d.draftNumber === draftNumber - 1
+  // PIN Security
+  // PINs and safety codes are stored as salted PBKDF2-SHA256 hashes. Older
+  // versions saved a reversible btoa() PIN, which is re-hashed the next time
+  // the correct PIN is entered, and a plaintext safety code, which is hashed
+  // as soon as the data is loaded.
+  async hashSecret(
+    secret,
+    salt = crypto.getRandomValues(new Uint8Array(16)),
+    iterations = PIN_HASH_ITERATIONS
+  ) {
+    const baseKey = await crypto.subtle.importKey(
+      "raw",
+      new TextEncoder().encode(secret),
+      "PBKDF2",
+      false,
+      ["deriveBits"]
+    );
+    const bits = await crypto.subtle.deriveBits(
+      { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+      baseKey,
+      256
     );
-    const previousScore = previousDraft ? previousDraft.aiScore : null;
 
-    // Check for empty/spam submissions
-    const answerValues = Object.values(answers).join(" ").trim();
-    const isLowEffort =
-      answerValues.length < 10 || /^[a-z1-9\s]{1,3}$/i.test(answerValues);
+    return {
+      algorithm: "pbkdf2-sha256",
+      iterations,
+      salt: this.toBase64(salt),
+      hash: this.toBase64(new Uint8Array(bits)),
+    };
+  }
 
-    let score, feedback;
+  async verifySecret(input, stored) {
+    const candidate = await this.hashSecret(
+      input,
+      this.fromBase64(stored.salt),
+      stored.iterations
+    );
+    return this.constantTimeEqual(candidate.hash, stored.hash);
+  }
 
-    if (isLowEffort) {
-      score = Math.floor(Math.random() * 20) + 50; // 50-70 for low effort
-      feedback = this.generateLowEffortFeedback();
-    } else {
-      score = Math.floor(Math.random() * 30) + 70; // 70-100 for normal effort
-      feedback = this.generateNormalFeedback(score, draftNumber, previousScore);
+  async hashLegacySafetyCodes() {
+    for (const user of this.users) {
+      if (typeof user.safetyCode === "string") {
+        user.safetyCode = await this.hashSecret(user.safetyCode);
+        await this.saveUser(user);
+      }
     }
+  }
+
+  needsRehash(stored) {
+    return (
+      typeof stored === "string" || stored.iterations < PIN_HASH_ITERATIONS
+    );
+  }
 
-    // Check for AI-generated content patterns
-    if (this.detectAIContent(answerValues)) {
-      feedback +=
-        "\n\n💡 **Note:** This looks quite AI-like — check your environment and consider more real-world validation.";
+  async verifyPin(inputPin, user) {
+    const valid =
+      typeof user.pin === "string"
+        ? this.constantTimeEqual(this.legacyHashPin(inputPin), user.pin)
+        : await this.verifySecret(inputPin, user.pin);
+
+    if (valid && this.needsRehash(user.pin)) {
+      user.pin = await this.hashSecret(inputPin);
+      await this.saveUser(user);
     }
 
-    return { score, feedback };
+    return valid;
   }
 
-  detectAIContent(text) {
-    const aiPatterns = [
-      /as an ai/i,
-      /leverage synergies/i,
-      /paradigm shift/i,
-      /game-changer/i,
-      /revolutionary platform/i,
-    ];
-    return aiPatterns.some((pattern) => pattern.test(text));
+  async verifySafetyCode(inputCode, user) {
+    const valid = await this.verifySecret(inputCode, user.safetyCode);
+
+    if (valid && this.needsRehash(user.safetyCode)) {
+      user.safetyCode = await this.hashSecret(inputCode);
+      await this.saveUser(user);
+    }
+
+    return valid;
   }
 
-  generateLowEffortFeedback() {
-    return `**Feedback (Score: Low)**
+  // Attempt Limits
+  // Every PIN or safety code check goes through here. Failures are counted
+  // per user and logged so the real user can see them at their next sign-in.
+  async checkSecret(user, kind, action, input) {
+    const remaining = this.getLockoutRemaining(user);
+    if (remaining > 0) {
+      throw new Error(
+        `Too many wrong attempts. Try again in ${this.formatCountdown(
+          remaining
+        )}`
+      );
+    }
 
-**Areas for Improvement:**
-• Your responses need more detail and thought
-• Consider spending more time on each question
-• Add specific examples and real-world context
-• Research your target market thoroughly
+    const valid =
+      kind === "pin"
+        ? await this.verifyPin(input, user)
+        : await this.verifySafetyCode(input, user);
 
-**Next Steps:**
-• Conduct at least 3 customer interviews
-• Research 5 direct competitors
-• Write detailed answers (50+ words each)
-• Consider creating a simple prototype
+    if (valid) {
+      if (user.lockout && user.lockout.failures > 0) {
+        user.lockout = { failures: 0, lockedUntil: null };
+        await this.saveUser(user);
+      }
+    } else {
+      await this.recordFailedAttempt(user, kind, action);
+    }
 
-Keep going! Every successful entrepreneur started with a first draft. 🚀`;
+    return valid;
   }
 
-  generateNormalFeedback(score, draftNumber, previousScore) {
-    let feedback = `**Feedback (Score: ${score}/100)**\n\n`;
+  async recordFailedAttempt(user, kind, action) {
+    const lockout = user.lockout || { failures: 0, lockedUntil: null };
+    lockout.failures += 1;
 
-    if (previousScore && score > previousScore) {
-      feedback += `🎉 **Great improvement!** Your score increased from ${previousScore} to ${score}!\n\n`;
+    if (lockout.failures >= FREE_SECRET_ATTEMPTS) {
+      const seconds = Math.min(
+        LOCKOUT_BASE_SECONDS * 2 ** (lockout.failures - FREE_SECRET_ATTEMPTS),
+        LOCKOUT_MAX_SECONDS
+      );
+      lockout.lockedUntil = new Date(Date.now() + seconds * 1000).toISOString();
     }
 
-    if (score >= 80) {
-      feedback += `**Strengths:**
-• Strong problem identification
-• Clear value proposition
-• Good market understanding
-• Solid execution plan
+    user.lockout = lockout;
+    user.failedAttempts = (user.failedAttempts || [])
+      .concat({ at: new Date().toISOString(), kind, action })
+      .slice(-50);
 
-**Next Steps:**
-• Build an MVP if you haven't already
-• Get 10+ customer interviews
-• Consider seeking mentorship
-• Research funding opportunities`;
-    } else {
-      feedback += `**Strengths:**
-• Good foundation for your idea
-• Clear passion for the problem
-• Willingness to iterate and improve
+    await this.saveUser(user);
+  }
+
+  getLockoutRemaining(user) {
+    if (!user.lockout || !user.lockout.lockedUntil) return 0;
+    return Math.max(0, new Date(user.lockout.lockedUntil) - Date.now());
+  }
+
+  formatCountdown(ms) {
+    const totalSeconds = Math.ceil(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, "0");
+    return hours > 0
+      ? `${hours}:${String(minutes).padStart(2, "0")}:${seconds}`
+      : `${minutes}:${seconds}`;
+  }
 
-**Areas for Growth:**
-• Deepen your market research
-• Get more customer validation
-• Refine your business model
-• Consider competitive advantages
+  // Pre-PBKDF2 scheme, only used to recognise PINs saved by older versions
+  legacyHashPin(pin) {
+    return btoa(pin + "capsera_salt").replace(/[^a-zA-Z0-9]/g, "");
+  }
 
-**Next Steps:**
-• Conduct customer interviews
-• Research competitors thoroughly
-• Create a simple prototype
-• Validate your assumptions`;
+  // Compare without returning early so timing doesn't reveal the match length
+  constantTimeEqual(a, b) {
+    let diff = a.length ^ b.length;
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+      diff |= (a.charCodeAt(i) || 0) ^ (b.charCodeAt(i) || 0);
     }
+    return diff === 0;
+  }
 
-    if (draftNumber === 1) {
-      feedback +=
-        "\n\n📋 **Important:** Before moving to Draft 2, conduct customer interviews to validate your assumptions!";
+  toBase64(bytes) {
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
     }
+    return btoa(binary);
+  }
 
-    feedback += "\n\nKeep iterating - you're building something meaningful! 💪";
-    return feedback;
+  fromBase64(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
   }
 
-  // Screen Management
-  showScreen(screenName) {
-    // Hide all screens
-    document.querySelectorAll(".screen").forEach((screen) => {
-      screen.style.display = "none";
-    });
+  // Draft Encryption
+  // Each user has a random AES-GCM data key. It is stored twice, wrapped by
+  // a key derived from the PIN and by one derived from the safety code, so a
+  // PIN reset can re-wrap it instead of losing the user's drafts.
+  generateDataKey() {
+    return crypto.subtle.generateKey({ name: "AES-GCM", length: 256 }, true, [
+      "encrypt",
+      "decrypt",
+    ]);
+  }
 
-    // Show target screen
-    const targetScreen = document.getElementById(`screen-${screenName}`);
-    if (targetScreen) {
-      targetScreen.style.display = "block";
-    }
+  async deriveWrappingKey(
+    secret,
+    salt,
+    iterations,
+    usages = ["wrapKey", "unwrapKey"]
+  ) {
+    const baseKey = await crypto.subtle.importKey(
+      "raw",
+      new TextEncoder().encode(secret),
+      "PBKDF2",
+      false,
+      ["deriveKey"]
+    );
+    return crypto.subtle.deriveKey(
+      { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+      baseKey,
+      { name: "AES-GCM", length: 256 },
+      false,
+      usages
+    );
+  }
 
-    // Update navigation
-    document.querySelectorAll(".nav-btn").forEach((btn) => {
-      btn.classList.remove("active");
+  async wrapDataKey(dataKey, secret) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const wrappingKey = await this.deriveWrappingKey(
+      secret,
+      salt,
+      PIN_HASH_ITERATIONS
+    );
+    const wrapped = await crypto.subtle.wrapKey("raw", dataKey, wrappingKey, {
+      name: "AES-GCM",
+      iv,
     });
-    document
-      .querySelector(`[data-screen="${screenName}"]`)
-      ?.classList.add("active");
 
-    this.currentScreen = screenName;
+    return {
+      iterations: PIN_HASH_ITERATIONS,
+      salt: this.toBase64(salt),
+      iv: this.toBase64(iv),
+      wrapped: this.toBase64(new Uint8Array(wrapped)),
+    };
+  }
 
-    // Load screen-specific data
-    this.loadScreenData(screenName);
+  async unwrapDataKey(wrap, secret) {
+    const wrappingKey = await this.deriveWrappingKey(
+      secret,
+      this.fromBase64(wrap.salt),
+      wrap.iterations
+    );
+    return crypto.subtle.unwrapKey(
+      "raw",
+      this.fromBase64(wrap.wrapped),
+      wrappingKey,
+      { name: "AES-GCM", iv: this.fromBase64(wrap.iv) },
+      { name: "AES-GCM", length: 256 },
+      true,
+      ["encrypt", "decrypt"]
+    );
   }
 
-  loadScreenData(screenName) {
-    switch (screenName) {
-      case "global":
-        this.loadGlobalIdeas();
-        break;
-      case "submissions":
-        this.loadMySubmissions();
-        break;
-      case "submit":
-        this.loadSubmitScreen();
-        break;
-      case "settings":
-        this.loadSettingsScreen();
-        break;
+  async encryptJSON(key, value) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt(
+      { name: "AES-GCM", iv },
+      key,
+      new TextEncoder().encode(JSON.stringify(value))
+    );
+    return {
+      iv: this.toBase64(iv),
+      data: this.toBase64(new Uint8Array(data)),
+    };
+  }
+
+  async decryptJSON(key, sealed) {
+    const data = await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: this.fromBase64(sealed.iv) },
+      key,
+      this.fromBase64(sealed.data)
+    );
+    return JSON.parse(new TextDecoder().decode(data));
+  }
+
+  async encryptWithSecret(value, secret) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await this.deriveWrappingKey(
+      secret,
+      salt,
+      PIN_HASH_ITERATIONS,
+      ["encrypt", "decrypt"]
+    );
+    return {
+      iterations: PIN_HASH_ITERATIONS,
+      salt: this.toBase64(salt),
+      ...(await this.encryptJSON(key, value)),
+    };
+  }
+
+  async decryptWithSecret(sealed, secret) {
+    const key = await this.deriveWrappingKey(
+      secret,
+      this.fromBase64(sealed.salt),
+      sealed.iterations,
+      ["encrypt", "decrypt"]
+    );
+    return this.decryptJSON(key, sealed);
+  }
+
+  // Keep `clearFields` readable and encrypt the rest of the record
+  async sealRecord(record, clearFields, key) {
+    const clear = {};
+    const secret = {};
+    Object.entries(record).forEach(([field, value]) => {
+      if (clearFields.includes(field)) clear[field] = value;
+      else secret[field] = value;
+    });
+    return { ...clear, sealed: await this.encryptJSON(key, secret) };
+  }
+
+  async openRecord(record, key) {
+    const { sealed, ...clear } = record;
+    return { ...clear, ...(await this.decryptJSON(key, sealed)) };
+  }
+
+  // Project Management
+  async createProject(userId, name) {
+    const projects = this.getProjects();
+
+    // Check for duplicate active project names for this user
+    if (
+      projects.find((p) => p.userId === userId && p.name === name && !p.deleted)
+    ) {
+      throw new Error("Project name already exists");
+    }
+
+    const newProject = {
+      id: "p" + Date.now(),
+      userId: userId,
+      name: name,
+      deleted: false,
+      drafts: [],
+      createdAt: new Date().toISOString(),
+    };
+
+    await this.saveProject(newProject);
+    projects.push(newProject);
+    return newProject;
+  }
+
+  // Draft Management
+  async saveDraft(projectId, draftNumber, answers) {
+    const projects = this.getProjects();
+    const project = projects.find((p) => p.id === projectId);
+
+    if (!project) throw new Error("Project not found");
+
+    // Find existing draft or create new one
+    let draft = project.drafts.find((d) => d.draftNumber === draftNumber);
+    if (!draft) {
+      draft = {
+        projectId: projectId,
+        draftNumber: draftNumber,
+        answers: {},
+        aiScore: null,
+        aiFeedback: null,
+        createdAt: new Date().toISOString(),
+      };
+      project.drafts.push(draft);
     }
+
+    draft.answers = answers;
+    draft.followUpQuestions = this.getFollowUpQuestions(
+      draftNumber,
+      project.drafts
+    );
+    draft.updatedAt = new Date().toISOString();
+    draft.gradingStatus = "pending";
+    delete draft.gradingAttempts;
+    delete draft.nextGradeAttemptAt;
+    delete draft.lastGradingError;
+    delete draft.offlineEstimate;
+
+    await this.saveDraftRecord(draft, project.userId);
+    return draft;
   }
 
-  // Screen: Global Ideas
-  async loadGlobalIdeas() {
-    const container = document.getElementById("global-ideas-list");
-    if (!container) return;
+  async gradeDraft(projectId, draftNumber) {
+    const projects = this.getProjects();
+    const project = projects.find((p) => p.id === projectId);
+    const draft = project.drafts.find((d) => d.draftNumber === draftNumber);
 
-    container.innerHTML = '<div class="loading">Loading top ideas...</div>';
+    if (!draft) throw new Error("Draft not found");
 
-    if (!this.supabase) {
-      container.innerHTML = '<div class="error">Database not connected</div>';
-      return;
+    const flightKey = `${projectId}:${draftNumber}`;
+    if (this.gradingInFlight.has(flightKey)) {
+      throw new Error("This draft is already being graded");
     }
+    this.gradingInFlight.add(flightKey);
 
+    let feedback;
     try {
-      const { data, error } = await this.supabase
-        .from("projects_final")
-        .select("local_user_name, project_name, ai_score, submitted_at")
-        .order("ai_score", { ascending: false })
-        .limit(20);
+      feedback = await this.getAIFeedback(
+        draft.answers,
+        draftNumber,
+        project.drafts,
+        await this.getVoiceAnswers(project, draftNumber)
+      );
+    } finally {
+      this.gradingInFlight.delete(flightKey);
+    }
 
-      if (error) throw error;
+    draft.aiScore = feedback.score;
+    draft.aiFeedback = feedback.feedback;
+    draft.aiGrade = feedback.grade;
+    draft.grading = feedback.grading;
+    draft.actionItems = feedback.actionItems;
+    draft.actionItemReview = feedback.actionItemReview;
+    draft.nextDraftQuestions = this.buildFollowUpQuestions(
+      draftNumber + 1,
+      feedback.grade.nextDraftQuestions
+    );
+    draft.gradedAt = new Date().toISOString();
+    draft.gradingStatus = "graded";
+    delete draft.gradingAttempts;
+    delete draft.nextGradeAttemptAt;
+    delete draft.lastGradingError;
+    delete draft.offlineEstimate;
+    if (draftNumber === 3 && !draft.submission) {
+      draft.submission = this.createSubmission();
+    }
 
-      if (!data || data.length === 0) {
-        container.innerHTML =
-          '<div class="empty">No ideas submitted yet. Be the first!</div>';
-        return;
-      }
+    await this.saveDraftRecord(draft, project.userId);
 
-      let html = '<div class="ideas-table">';
-      data.forEach((idea, index) => {
-        const date = new Date(idea.submitted_at).toLocaleDateString();
-        html += `
-          <div class="idea-row" onclick="app.showIdeaPreview('${
-            idea.project_name
-          }')">
-            <div class="idea-rank">#${index + 1}</div>
-            <div class="idea-details">
-              <div class="idea-name">${this.escapeHtml(idea.project_name)}</div>
-              <div class="idea-meta">${this.escapeHtml(
-                idea.local_user_name
-              )} • ${date}</div>
-            </div>
-            <div class="idea-score">${idea.ai_score}/100</div>
-          </div>
-        `;
+    // If this is draft 3 (final), submit to Supabase
+    if (draftNumber === 3) {
+      await this.submitFinalProject(project, draft);
+    }
+
+    return feedback;
+  }
+
+  // Grading Queue
+  // Submitted drafts stay "pending" until a grade comes back. Pending drafts
+  // of signed-in users are retried with back-off, straight away when the
+  // device comes back online, and on the next sign-in for locked users,
+  // since their answers can only be read once unlocked.
+  isAwaitingGrade(draft) {
+    return (
+      draft.gradingStatus === "pending" ||
+      (!draft.gradingStatus && draft.aiScore == null)
+    );
+  }
+
+  getPendingDrafts() {
+    const pending = [];
+    this.getProjects()
+      .filter((p) => !p.deleted)
+      .forEach((project) => {
+        project.drafts
+          .filter((d) => this.isAwaitingGrade(d))
+          .forEach((draft) => pending.push({ project, draft }));
       });
-      html += "</div>";
+    return pending;
+  }
 
-      container.innerHTML = html;
-    } catch (error) {
-      console.error("Error loading global ideas:", error);
-      container.innerHTML = '<div class="error">Failed to load ideas</div>';
+  async processGradingQueue({ force = false } = {}) {
+    if (this.gradingQueueRunning || !navigator.onLine) return;
+    this.gradingQueueRunning = true;
+    clearTimeout(this.gradingRetryTimer);
+
+    try {
+      for (const { project, draft } of this.getPendingDrafts()) {
+        const due =
+          force ||
+          !draft.nextGradeAttemptAt ||
+          new Date(draft.nextGradeAttemptAt) <= new Date();
+        if (
+          !due ||
+          this.gradingInFlight.has(`${project.id}:${draft.draftNumber}`)
+        ) {
+          continue;
+        }
+
+        try {
+          await this.gradeDraft(project.id, draft.draftNumber);
+          this.onQueuedDraftGraded(project, draft);
+        } catch (error) {
+          console.error("Queued grading failed:", error);
+          await this.recordGradingFailure(project, draft, error);
+          if (this.currentProject === project.id) this.showSubmissionForm();
+        }
+      }
+    } finally {
+      this.gradingQueueRunning = false;
+      this.scheduleGradingRetry();
     }
   }
 
-  showIdeaPreview(projectName) {
-    // Show blurred overlay - no sneak peeks!
-    const overlay = document.createElement("div");
-    overlay.className = "idea-preview-overlay";
-    overlay.innerHTML = `
-      <div class="preview-modal">
-        <h3>🔒 No Sneak Peeks!</h3>
-        <p>Submit your own amazing idea to see what others are building.</p>
-        <button onclick="this.parentElement.parentElement.remove()">Got it!</button>
-      </div>
-    `;
-    document.body.appendChild(overlay);
+  async recordGradingFailure(project, draft, error) {
+    draft.gradingAttempts = (draft.gradingAttempts || 0) + 1;
+    const delay = Math.min(
+      GRADING_RETRY_BASE_SECONDS * 2 ** (draft.gradingAttempts - 1),
+      GRADING_RETRY_MAX_SECONDS
+    );
+    draft.nextGradeAttemptAt = new Date(
+      Date.now() + delay * 1000
+    ).toISOString();
+    draft.lastGradingError = error.message;
+
+    try {
+      if (!draft.offlineEstimate) {
+        draft.offlineEstimate = await this.estimateGrade(project, draft);
+      }
+      await this.saveDraftRecord(draft, project.userId);
+    } catch (saveError) {
+      console.error("Error saving grading status:", saveError);
+    }
   }
 
-  async submitFeedback(formData) {
-    if (!this.supabase) {
-      alert("Database not available");
+  scheduleGradingRetry() {
+    clearTimeout(this.gradingRetryTimer);
+    if (!navigator.onLine) return;
+
+    const times = this.getPendingDrafts()
+      .filter(
+        ({ project, draft }) =>
+          !this.gradingInFlight.has(`${project.id}:${draft.draftNumber}`)
+      )
+      .map(({ draft }) => new Date(draft.nextGradeAttemptAt || 0).getTime());
+    if (times.length === 0) return;
+
+    const wait = Math.max(0, Math.min(...times) - Date.now());
+    this.gradingRetryTimer = setTimeout(() => this.processGradingQueue(), wait);
+  }
+
+  retryGradingNow() {
+    if (!navigator.onLine) {
+      this.showMessage(
+        "You are offline. We'll try again when you're back online.",
+        "info"
+      );
       return;
     }
+    this.processGradingQueue({ force: true });
+  }
 
-    try {
-      const feedback = {
-        username: formData.username || "Anonymous",
-        contact: formData.contact || null,
-        message: formData.message,
-        context: {
-          page: "global_ideas",
-          language: this.currentLanguage,
-          timestamp: new Date().toISOString(),
-        },
-      };
+  onQueuedDraftGraded(project, draft) {
+    const message = `${project.name}: Draft ${draft.draftNumber} scored ${draft.aiScore}/100`;
+    this.showMessage(`Feedback is ready! ${message}`, "success");
 
-      await this.supabase.from("feedback").insert([feedback]);
+    if (this.currentProject === project.id) this.showSubmissionForm();
+    if (this.currentScreen === "submissions") this.loadMySubmissions();
 
-      this.showMessage("Thank you for your feedback!", "success");
-      document.getElementById("feedback-form").reset();
-    } catch (error) {
-      console.error("Error submitting feedback:", error);
-      this.showMessage("Failed to submit feedback. Please try again.", "error");
+    if (
+      document.visibilityState === "hidden" &&
+      "Notification" in window &&
+      Notification.permission === "granted" &&
+      "serviceWorker" in navigator
+    ) {
+      navigator.serviceWorker.ready
+        .then((registration) =>
+          registration.showNotification("Your Capsera feedback is ready", {
+            body: message,
+            tag: `grade-${project.id}-${draft.draftNumber}`,
+          })
+        )
+        .catch((error) => console.error("Notification failed:", error));
     }
   }
 
-  // Screen: My Submissions
-  loadMySubmissions() {
-    const container = document.getElementById("my-submissions-list");
-    if (!container) return;
+  requestNotificationPermission() {
+    if ("Notification" in window && Notification.permission === "default") {
+      Promise.resolve(Notification.requestPermission()).catch(() => {});
+    }
+  }
 
-    const users = this.getUsers().filter((u) => !u.deleted);
-    const projects = this.getProjects().filter((p) => !p.deleted);
+  // Final Submission
+  // Each final draft gets one submission id, made on this device and sent as
+  // submission_id. projects_final has a unique index on it (see
+  // supabase/projects_final_submissions.sql), so sending again after a flaky
+  // connection cannot create a second row. The draft keeps the submission
+  // state and a receipt code the user can quote to the team. The record is
+  // created in the same write that marks the draft graded, so a tab closed
+  // before the project was queued still leaves something to retry.
+  createSubmission() {
+    const id = crypto.randomUUID();
+    return { id, receipt: this.formatReceipt(id), status: "pending" };
+  }
 
-    if (projects.length === 0) {
-      container.innerHTML =
-        '<div class="empty">No submissions yet. Go to Submit Ideas to get started!</div>';
+  async submitFinalProject(project, finalDraft) {
+    const user = this.getUsers().find((u) => u.id === project.userId);
+    if (!user) return;
+
+    // gradeDraft creates the record; final drafts without one were sent
+    // before submission ids existed and must not be sent again
+    const submission = finalDraft.submission;
+    if (
+      !submission ||
+      this.getSubmissionState(project, submission) !== "unsent"
+    ) {
       return;
     }
 
-    let html = "";
-    users.forEach((user) => {
-      const userProjects = projects.filter((p) => p.userId === user.id);
-      if (userProjects.length === 0) return;
+    let queued = false;
+    try {
+      const payload = {
+        submission_id: submission.id,
+        local_user_name: user.name,
+        project_name: project.name,
+        project_payload: {
+          drafts: project.drafts,
+          finalAnswers: finalDraft.answers,
+          projectId: project.id,
+          grading: finalDraft.grading || null,
+        },
+        ai_score: finalDraft.aiScore,
+        ai_feedback: this.feedbackToText(finalDraft.aiFeedback),
+        contact_email: finalDraft.answers.contact_email || null,
+      };
 
-      html += `<div class="user-section">
-        <h3>${this.escapeHtml(user.name)}'s Projects</h3>
-        <div class="projects-list">`;
+      // Photos go up before the row is queued, so the team never gets a
+      // project whose photos are missing. If they can't be uploaded the
+      // submission stays unsent until the user retries or sends it without.
+      if (finalDraft.answers.share_photos === "yes" && !submission.skipPhotos) {
+        try {
+          await this.uploadProjectPhotos(project, submission);
+          delete submission.photosPending;
+        } catch (error) {
+          console.error("Error uploading photos:", error);
+          submission.photosPending = true;
+          throw new Error(
+            `Your photos could not be uploaded, so your final project has not been sent yet. Please try again from My Submissions (receipt ${submission.receipt}).`
+          );
+        }
+      }
+      if (submission.photos && submission.photos.length > 0) {
+        payload.project_payload.photos = submission.photos;
+      }
 
-      userProjects.forEach((project) => {
-        html += this.renderProjectSummary(project);
+      await this.queueOutbox("projects_final", payload, {
+        onConflict: "submission_id",
       });
+      queued = true;
+      submission.status = "queued";
+      submission.queuedAt = new Date().toISOString();
+      delete submission.lastError;
+      await this.saveDraftRecord(finalDraft, project.userId);
+    } catch (error) {
+      console.error("Error submitting final project:", error);
+      if (!queued) {
+        submission.lastError = error.message;
+        this.showMessage(
+          submission.photosPending
+            ? error.message
+            : `Your final project could not be submitted. Please try again from My Submissions (receipt ${submission.receipt}).`,
+          "error"
+        );
+      }
+    }
+  }
 
-      html += "</div></div>";
-    });
-
-    container.innerHTML = html;
+  // Short enough to read out over the phone; the team finds the row with
+  // submission_id::text like '<first 8 hex digits>%'
+  formatReceipt(submissionId) {
+    const code = submissionId.replace(/-/g, "").slice(0, 8).toUpperCase();
+    return `CAP-${code.slice(0, 4)}-${code.slice(4)}`;
   }
 
-  renderProjectSummary(project) {
-    const drafts = project.drafts.sort((a, b) => a.draftNumber - b.draftNumber);
-    const finalDraft = drafts.find((d) => d.draftNumber === 3);
-    const status = finalDraft ? "Final" : `Draft ${drafts.length}`;
+  // Outbox entries queued before submission ids existed are matched by
+  // project instead
+  getSubmissionEntry(project, submission) {
+    return this.outbox.find(
+      (e) =>
+        e.table === "projects_final" &&
+        (submission
+          ? e.record.submission_id === submission.id
+          : !e.record.submission_id &&
+            e.record.project_payload.projectId === project.id)
+    );
+  }
 
-    let html = `
-      <div class="project-summary">
-        <div class="project-header" onclick="app.toggleProjectDetails('${
-          project.id
-        }')">
-          <div class="project-info">
-            <div class="project-name">${this.escapeHtml(project.name)}</div>
-            <div class="project-status">${status}</div>
-          </div>
-          <div class="expand-arrow">▼</div>
-        </div>
-        <div class="project-details" id="project-details-${
-          project.id
-        }" style="display: none;">
+  // queued: still in the outbox; rejected: the server refused it; sent: left
+  // the outbox but not confirmed yet; confirmed: the row was found on the
+  // server; unsent: never made it into the outbox, so it can be retried;
+  // legacy: graded before submission records existed, and already sent then
+  getSubmissionState(project, submission) {
+    if (submission && submission.status === "confirmed") return "confirmed";
+
+    const entry = this.getSubmissionEntry(project, submission);
+    if (entry) return entry.rejected ? "rejected" : "queued";
+    if (!submission) return "legacy";
+    return submission.status === "queued" ? "sent" : "unsent";
+  }
+
+  renderSubmissionReceipt(project, draft) {
+    const submission = draft.submission;
+    const state = this.getSubmissionState(project, submission);
+    const label = {
+      confirmed: "✅ Final project submitted",
+      legacy: "✅ Final project submitted",
+      sent: "📨 Sent - waiting for confirmation",
+      queued: "📤 Waiting to send - it will go out when you're back online",
+      rejected:
+        "⚠️ The server did not accept this submission. Try again, or contact the Capsera team with your receipt code.",
+      unsent:
+        submission && submission.photosPending
+          ? "⚠️ Your photos could not be uploaded, so your final project has not been submitted yet"
+          : "⚠️ Your final project has not been submitted yet",
+    }[state];
+
+    return `
+      <div class="submission-receipt ${state}">
+        <div>${label}</div>
+        ${
+          submission
+            ? `<div>Receipt: <code>${this.escapeHtml(
+                submission.receipt
+              )}</code></div>`
+            : ""
+        }
+        ${
+          state === "unsent"
+            ? `<button class="btn-secondary" onclick="event.stopPropagation(); app.retryFinalSubmission('${
+                project.id
+              }')">Try again</button>${
+                submission.photosPending
+                  ? `<button class="btn-secondary" onclick="event.stopPropagation(); app.retryFinalSubmission('${project.id}', true)">Send without photos</button>`
+                  : ""
+              }`
+            : state === "rejected"
+            ? `<button class="btn-secondary" onclick="event.stopPropagation(); app.retryOutboxEntry('${
+                this.getSubmissionEntry(project, submission).id
+              }')">Try again</button>`
+            : ""
+        }
+      </div>
     `;
+  }
 
-    drafts.forEach((draft) => {
-      const scoreText = draft.aiScore ? `${draft.aiScore}/100` : "Not graded";
-      html += `
-        <div class="draft-item" onclick="app.toggleDraftDetails('${
-          project.id
-        }', ${draft.draftNumber})">
-          <div class="draft-header">
-            <span>Draft ${draft.draftNumber} - ${scoreText}</span>
-            <span class="draft-arrow">▶</span>
-          </div>
-          <div class="draft-details" id="draft-${project.id}-${
-        draft.draftNumber
-      }" style="display: none;">
-            ${
-              draft.aiFeedback
-                ? `<div class="ai-feedback">${this.formatFeedback(
-                    draft.aiFeedback
-                  )}</div>`
-                : '<div class="no-feedback">No feedback yet</div>'
-            }
-          </div>
-        </div>
-      `;
-    });
+  async retryFinalSubmission(projectId, withoutPhotos = false) {
+    const project = this.getProjects().find((p) => p.id === projectId);
+    const finalDraft =
+      project && project.drafts.find((d) => d.draftNumber === 3);
+    if (!finalDraft || !finalDraft.submission) return;
 
-    html += "</div></div>";
-    return html;
+    if (withoutPhotos) {
+      finalDraft.submission.skipPhotos = true;
+      delete finalDraft.submission.photosPending;
+    }
+
+    await this.submitFinalProject(project, finalDraft);
+    if (this.getSubmissionState(project, finalDraft.submission) !== "unsent") {
+      this.showMessage("Final project queued for sending", "success");
+    }
+    if (this.currentScreen === "submissions") this.loadMySubmissions();
   }
 
-  toggleProjectDetails(projectId) {
-    const details = document.getElementById(`project-details-${projectId}`);
-    const arrow = details.previousElementSibling.querySelector(".expand-arrow");
+  // Submissions that have left the outbox are confirmed by finding their
+  // row on the server, which also gives us its id
+  async refreshFinalSubmissions(projects) {
+    const pending = [];
+    projects.forEach((project) => {
+      const draft = project.drafts.find((d) => d.draftNumber === 3);
+      if (
+        draft &&
+        draft.submission &&
+        this.getSubmissionState(project, draft.submission) === "sent"
+      ) {
+        pending.push({ project, draft });
+      }
+    });
+    if (!this.supabase || !navigator.onLine || pending.length === 0) return;
 
-    if (details.style.display === "none") {
-      details.style.display = "block";
-      arrow.textContent = "▲";
-    } else {
-      details.style.display = "none";
-      arrow.textContent = "▼";
+    try {
+      const { data, error } = await this.supabase
+        .from("projects_final")
+        .select("id, submission_id")
+        .in(
+          "submission_id",
+          pending.map(({ draft }) => draft.submission.id)
+        );
+      if (error) throw new Error(error.message);
+
+      let changed = false;
+      for (const row of data || []) {
+        const match = pending.find(
+          ({ draft }) => draft.submission.id === row.submission_id
+        );
+        if (!match) continue;
+
+        Object.assign(match.draft.submission, {
+          status: "confirmed",
+          serverId: row.id,
+          confirmedAt: new Date().toISOString(),
+        });
+        await this.saveDraftRecord(match.draft, match.project.userId);
+        changed = true;
+      }
+      if (changed && this.currentScreen === "submissions") {
+        this.loadMySubmissions();
+      }
+    } catch (error) {
+      console.error("Error confirming final submissions:", error);
     }
   }
 
-  toggleDraftDetails(projectId, draftNumber) {
-    const details = document.getElementById(
-      `draft-${projectId}-${draftNumber}`
-    );
-    const arrow = details.previousElementSibling.querySelector(".draft-arrow");
+  // Outbox
+  // Everything sent to Supabase is queued in IndexedDB first (see db.js) and
+  // removed once accepted, so a dropped connection delays a submission
+  // instead of losing it. The page sends while it is open; background sync
+  // lets the service worker finish the job after it is closed.
+  async queueOutbox(table, record, options) {
+    const entry = await this.db.addToOutbox(table, record, options);
+    this.outbox.push(entry);
+    this.updateOutboxStatus();
+    this.flushOutbox();
+    return entry;
+  }
 
-    if (details.style.display === "none") {
-      details.style.display = "block";
-      arrow.textContent = "▼";
-    } else {
-      details.style.display = "none";
-      arrow.textContent = "▶";
+  getSupabaseConfig() {
+    if (!window.ENV || !window.ENV.SUPABASE_URL) return null;
+    return {
+      url: window.ENV.SUPABASE_URL,
+      anonKey: window.ENV.SUPABASE_ANON_KEY,
+    };
+  }
+
+  async flushOutbox() {
+    if (this.flushingOutbox) return;
+    this.flushingOutbox = true;
+
+    let result = { sent: 0, retry: false };
+    try {
+      const config = this.getSupabaseConfig();
+      if (config && navigator.onLine) {
+        result = await this.db.drainOutbox(config);
+      }
+      await this.refreshOutbox();
+    } catch (error) {
+      console.error("Error sending outbox:", error);
+    } finally {
+      this.flushingOutbox = false;
+    }
+
+    if (this.outbox.some((entry) => !entry.rejected)) {
+      this.registerOutboxSync();
+    }
+    if (result.sent > 0 && this.currentScreen === "submissions") {
+      this.loadMySubmissions();
     }
   }
 
-  // Screen: Submit Ideas
-  loadSubmitScreen() {
-    this.populateUserDropdown();
-    this.populateProjectDropdown();
-    this.updateSubmitGreeting();
+  async refreshOutbox() {
+    this.outbox = await this.db.getOutbox();
+    this.updateOutboxStatus();
   }
 
-  populateUserDropdown() {
-    const select = document.getElementById("user-select");
-    if (!select) return;
+  // Background sync wakes the service worker once the device is back
+  // online, even if Capsera is no longer open
+  registerOutboxSync() {
+    if (!("serviceWorker" in navigator)) return;
 
-    const users = this.getUsers().filter((u) => !u.deleted);
-    select.innerHTML = '<option value="">Select User</option>';
+    navigator.serviceWorker.ready
+      .then((registration) => registration.sync.register("outbox"))
+      .catch(() => {
+        // Background sync is not available everywhere; the page retries
+        // when it comes back online instead
+      });
+  }
 
-    users.forEach((user) => {
-      const option = document.createElement("option");
-      option.value = user.id;
-      option.textContent = user.name;
-      if (this.currentUser === user.id) option.selected = true;
-      select.appendChild(option);
-    });
+  updateOutboxStatus() {
+    const status = document.getElementById("outbox-status");
+    if (!status) return;
+
+    const rejected = this.outbox.filter((entry) => entry.rejected);
+    const waiting = this.outbox.length - rejected.length;
+    status.style.display = this.outbox.length > 0 ? "" : "none";
+    status.innerHTML = `
+      ${
+        waiting > 0
+          ? `📤 ${waiting} ${
+              waiting === 1 ? "item" : "items"
+            } waiting to send <button type="button" onclick="app.flushOutbox()">Send now</button>`
+          : ""
+      }
+      ${rejected
+        .map(
+          (entry) => `
+        <span class="outbox-rejected">
+          ⚠️ ${
+            OUTBOX_LABELS[entry.table] || entry.table
+          } was not accepted by the server
+          <button type="button" onclick="app.retryOutboxEntry('${
+            entry.id
+          }')">Retry</button>
+          ${
+            entry.table === "feedback"
+              ? `<button type="button" onclick="app.discardOutboxEntry('${entry.id}')">Discard</button>`
+              : ""
+          }
+        </span>
+      `
+        )
+        .join("")}
+    `;
   }
 
-  populateProjectDropdown() {
-    const select = document.getElementById("project-select");
-    if (!select) return;
+  async retryOutboxEntry(id) {
+    try {
+      await this.db.retryOutboxEntry(id);
+      await this.flushOutbox();
+    } catch (error) {
+      console.error("Error retrying outbox entry:", error);
+      this.showMessage(error.message, "error");
+    }
+    if (this.currentScreen === "submissions") this.loadMySubmissions();
+  }
 
-    select.innerHTML = '<option value="">Select Project</option>';
+  // Only feedback can be thrown away; final projects and mentor requests
+  // stay until they get through
+  async discardOutboxEntry(id) {
+    const entry = this.outbox.find((e) => e.id === id);
+    if (!entry || entry.table !== "feedback") return;
 
-    if (!this.currentUser) return;
+    try {
+      await this.db.delete("outbox", id);
+      await this.refreshOutbox();
+      this.showMessage("Feedback discarded", "info");
+    } catch (error) {
+      console.error("Error discarding outbox entry:", error);
+      this.showMessage(error.message, "error");
+    }
+  }
 
-    const projects = this.getProjects().filter(
-      (p) => p.userId === this.currentUser && !p.deleted
+  // AI Feedback
+  // Drafts are graded by the grading endpoint: the Netlify function that
+  // holds the OpenAI key, or the mock server during development. Its reply
+  // is checked against the shared grading contract before it is saved.
+  async getAIFeedback(answers, draftNumber, allDrafts, voiceAnswers = {}) {
+    const gradeRequest = this.buildGradeRequest(
+      answers,
+      draftNumber,
+      allDrafts,
+      voiceAnswers
     );
-    projects.forEach((project) => {
-      const option = document.createElement("option");
-      option.value = project.id;
-      option.textContent = project.name;
-      if (this.currentProject === project.id) option.selected = true;
-      select.appendChild(option);
-    });
+    const { grade, grader } = await this.requestGrade(gradeRequest);
+
+    return {
+      score: grade.score,
+      grade,
+      grading: await this.buildGradingInfo(grader, gradeRequest),
+      feedback: this.buildFeedback(
+        grade,
+        draftNumber,
+        this.getPreviousScore(allDrafts, draftNumber)
+      ),
+      actionItems: this.buildActionItems(draftNumber, grade),
+      actionItemReview: this.reviewActionItems(
+        this.getPreviousDraft(allDrafts, draftNumber),
+        gradeRequest.answers,
+        grade.actionItemReview
+      ),
+    };
   }
 
-  updateSubmitGreeting() {
-    const greeting = document.getElementById("submit-greeting");
-    if (!greeting) return;
+  // Offline estimate from the on-device rubric. It is shown, labeled as an
+  // estimate, while the draft waits for its AI grade.
+  async estimateGrade(project, draft) {
+    const gradeRequest = this.buildGradeRequest(
+      draft.answers,
+      draft.draftNumber,
+      project.drafts,
+      await this.getVoiceAnswers(project, draft.draftNumber)
+    );
+    const grade = GradingContract.applyLeniency(
+      GradingContract.validateGrade(
+        Rubric.scoreDraft(gradeRequest),
+        draft.draftNumber
+      )
+    );
+    const grader = { type: "rubric", version: Rubric.RUBRIC_VERSION };
+
+    return {
+      score: grade.score,
+      grade,
+      grading: await this.buildGradingInfo(grader, gradeRequest),
+      feedback: this.buildFeedback(
+        grade,
+        draft.draftNumber,
+        this.getPreviousScore(project.drafts, draft.draftNumber)
+      ),
+      actionItemReview: this.reviewActionItems(
+        this.getPreviousDraft(project.drafts, draft.draftNumber),
+        gradeRequest.answers,
+        grade.actionItemReview
+      ),
+      estimatedAt: new Date().toISOString(),
+    };
+  }
 
-    if (this.currentUser) {
-      const user = this.getUsers().find((u) => u.id === this.currentUser);
-      greeting.innerHTML = `<h2>Hi ${this.escapeHtml(user.name)}! 👋</h2>
-        <p>Ready to turn your idea into reality? Follow our 3-draft process:</p>
-        <div class="process-steps">
-          <div class="step">📝 Draft 1: Initial Concept</div>
-          <div class="step">🗣️ Draft 2: Customer Validation</div>
-          <div class="step">🚀 Draft 3: Final Pitch</div>
-        </div>`;
-    } else {
-      greeting.innerHTML = "<p>Select or create a user to get started!</p>";
-    }
+  buildGradeRequest(answers, draftNumber, allDrafts, voiceAnswers = {}) {
+    const previousDrafts = allDrafts
+      .filter((d) => d.draftNumber < draftNumber)
+      .sort((a, b) => a.draftNumber - b.draftNumber);
+
+    return {
+      contractVersion: GradingContract.GRADING_CONTRACT_VERSION,
+      draftNumber,
+      language: this.currentLanguage,
+      answers: this.getGradingAnswers(
+        draftNumber,
+        answers,
+        voiceAnswers,
+        allDrafts
+      ),
+      previousDrafts: previousDrafts.map((d) => {
+        const feedback = this.getDraftFeedback(d);
+        return {
+          draftNumber: d.draftNumber,
+          score: d.aiScore,
+          answers: this.getGradingAnswers(d.draftNumber, d.answers, {}, [d]),
+          feedback: feedback
+            ? { cons: feedback.cons, nextSteps: feedback.nextSteps }
+            : null,
+          actionItems: this.getActionItems(d),
+        };
+      }),
+    };
   }
 
-  onUserSelect(userId) {
-    this.currentUser = userId;
-    this.currentProject = null;
-    this.populateProjectDropdown();
-    this.updateSubmitGreeting();
-    this.hideSubmissionForm();
+  getPreviousDraft(allDrafts, draftNumber) {
+    return allDrafts.find((d) => d.draftNumber === draftNumber - 1) || null;
   }
 
-  onProjectSelect(projectId) {
-    this.currentProject = projectId;
-    if (projectId) {
-      this.showSubmissionForm();
-    } else {
-      this.hideSubmissionForm();
-    }
+  getPreviousScore(allDrafts, draftNumber) {
+    const previousDraft = this.getPreviousDraft(allDrafts, draftNumber);
+    return previousDraft ? previousDraft.aiScore : null;
   }
 
-  showSubmissionForm() {
-    const form = document.getElementById("submission-form");
-    if (!form) return;
+  // Which grader, prompt or rubric version and model produced a grade, and
+  // a hash of exactly what it was shown, so that scores from different
+  // graders are never compared as if they were the same
+  async buildGradingInfo(grader, gradeRequest) {
+    return {
+      grader: grader.type,
+      version: grader.version,
+      model: grader.model || null,
+      contractVersion: GradingContract.GRADING_CONTRACT_VERSION,
+      inputHash: await this.sha256Hex(JSON.stringify(gradeRequest)),
+    };
+  }
 
-    const project = this.getProjects().find(
-      (p) => p.id === this.currentProject
+  // Drafts graded before grading info was recorded all came from the same
+  // early grader, so they only compare with each other
+  isSameGrading(draft, otherDraft) {
+    const a = draft.grading;
+    const b = otherDraft.grading;
+    if (!a || !b) return !a && !b;
+    return (
+      a.grader === b.grader && a.version === b.version && a.model === b.model
     );
-    if (!project) return;
+  }
 
-    // Determine next draft number
-    const maxDraft = Math.max(0, ...project.drafts.map((d) => d.draftNumber));
-    const nextDraft = maxDraft + 1;
+  describeGrading(grading) {
+    const graders = {
+      ai: "AI grader",
+      rubric: "Offline rubric",
+      mock: "Mock grader",
+    };
+    return `${graders[grading.grader]} v${grading.version}${
+      grading.model ? ` · ${grading.model}` : ""
+    }`;
+  }
 
-    if (nextDraft > 3) {
-      form.innerHTML =
-        '<div class="final-message">This project is complete! All 3 drafts have been submitted.</div>';
-      return;
+  getGradingUrl() {
+    return (window.ENV && window.ENV.GRADING_URL) || DEFAULT_GRADING_URL;
+  }
+
+  async requestGrade(gradeRequest) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), GRADING_TIMEOUT_MS);
+
+    let response;
+    try {
+      response = await fetch(this.getGradingUrl(), {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(gradeRequest),
+        signal: controller.signal,
+      });
+    } catch (error) {
+      throw new Error(
+        navigator.onLine ? "Could not reach the grader" : "You are offline"
+      );
+    } finally {
+      clearTimeout(timer);
     }
 
-    form.innerHTML = this.generateDraftForm(nextDraft, project);
-    form.style.display = "block";
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(body.error || `Grader returned ${response.status}`);
+    }
+
+    try {
+      return {
+        grade: GradingContract.applyLeniency(
+          GradingContract.validateGrade(body.grade, gradeRequest.draftNumber)
+        ),
+        grader: GradingContract.validateGrader(body.grader),
+      };
+    } catch (error) {
+      console.error("Grade broke the contract:", error, body);
+      throw new Error("The grader sent an unexpected response");
+    }
   }
 
-  hideSubmissionForm() {
-    const form = document.getElementById("submission-form");
-    if (form) form.style.display = "none";
+  // Labeled answers as the grader sees them, with voice transcripts
+  getGradingAnswers(draftNumber, answers, voiceAnswers = {}, drafts = []) {
+    return this.getGradedQuestions(draftNumber, answers, drafts).map((q) => {
+      const entry = {
+        id: q.id,
+        question: q.label,
+        type: q.type,
+        answer: this.describeAnswer(q, answers[q.id]),
+      };
+      const voice = voiceAnswers[q.id];
+      if (voice) {
+        entry.transcript = voice.transcript;
+        entry.voiceSeconds = voice.duration;
+      }
+      return entry;
+    });
   }
 
-  generateDraftForm(draftNumber, project) {
-    let questions, title, instructions;
-
-    switch (draftNumber) {
-      case 1:
-        title = "Draft 1: Initial Concept";
-        instructions =
-          "Tell us about your amazing idea! Be honest and detailed.";
-        questions = [
-          {
-            id: "problem",
-            label: "What problem does your product solve?",
-            type: "textarea",
-            required: true,
-          },
-          {
-            id: "target",
-            label: "Who does this product help?",
-            type: "textarea",
-            required: true,
-          },
-          {
-            id: "current_solutions",
-            label: "What do people currently use and how is that limited?",
-            type: "textarea",
-            required: true,
-          },
-          {
-            id: "better_how",
-            label: "How is your product better?",
-            type: "textarea",
-            required: true,
-          },
-          {
-            id: "discovery",
-            label: "How did you find Capsera?",
-            type: "text",
-            required: false,
-          },
-        ];
-        break;
+  // Plain-text answer; questions missing from the bank pass through as-is
+  describeAnswer(question, value) {
+    if (!value) return "";
+    if (!question) return value;
+
+    switch (question.type) {
+      case "photo":
+        return "📷 Photo attached";
+      case "yesno":
+        return value === "yes" ? "Yes" : "No";
+      case "choice": {
+        const option = question.options.find((o) => o.value === value);
+        return option ? option.label : value;
+      }
+      default:
+        return value;
+    }
+  }
 
-      case 2:
-        title = "Draft 2: Market Validation";
-        instructions =
-          "Time to validate! Show us your market research and customer insights.";
-        questions = [
-          {
-            id: "interviews",
-            label: "Did you conduct customer interviews? How many?",
-            type: "textarea",
-            required: true,
-          },
-          {
-            id: "interview_results",
-            label: "What did you learn from customer interviews?",
-            type: "textarea",
-            required: true,
-          },
-          {
-            id: "competitors",
-            label: "Who are your main competitors? How did you research them?",
-            type: "textarea",
-            required: true,
-          },
-          {
-            id: "mvp_status",
-            label:
-              "Did you build an MVP? If yes, share the link. If no, why not?",
-            type: "textarea",
-            required: true,
-          },
-          {
-            id: "market_size",
-            label: "How big is your target market?",
-            type: "textarea",
-            required: false,
-          },
-        ];
-        break;
+  // Draft Feedback
+  // Feedback is stored as data and only turned into HTML by renderFeedback,
+  // which escapes every string: it comes from the grader and may be
+  // translated, so it is never trusted as markup.
+  buildFeedback(grade, draftNumber, previousScore) {
+    const notes = [];
+    if (draftNumber === 1) {
+      notes.push(
+        "📋 Important: Before moving to Draft 2, conduct customer interviews to validate your assumptions!"
+      );
+    }
+    if (grade.aiLikely) {
+      notes.push(
+        "💡 Note: This looks quite AI-like — check your environment and consider more real-world validation."
+      );
+    }
 
-      case 3:
-        title = "Draft 3: Final Pitch";
-        instructions =
-          "Time for your investor pitch! Reference your previous drafts and show your progress.";
-        questions = [
-          {
-            id: "elevator_pitch",
-            label: "Give us your 30-second elevator pitch",
-            type: "textarea",
-            required: true,
-          },
-          {
-            id: "business_model",
-            label: "How will you make money?",
-            type: "textarea",
-            required: true,
-          },
-          {
-            id: "traction",
-            label: "What traction do you have? (users, revenue, partnerships)",
-            type: "textarea",
-            required: true,
-          },
-          {
-            id: "funding_ask",
-            label: "How much funding do you need and what for?",
-            type: "textarea",
-            required: true,
-          },
-          {
-            id: "mvp_link",
-            label: "Link to your MVP or prototype",
-            type: "url",
-            required: false,
-          },
-          {
-            id: "contact_email",
-            label: "Email for mentor/funder contact (optional)",
-            type: "email",
-            required: false,
-          },
-        ];
+    return {
+      score: grade.score,
+      previousScore: previousScore || null,
+      pros: grade.pros,
+      cons: grade.cons,
+      nextSteps: grade.nextSteps,
+      nextDraftQuestions: grade.nextDraftQuestions,
+      notes,
+      encouragement:
+        grade.encouragement ||
+        "Keep iterating - you're building something meaningful! 💪",
+    };
+  }
+
+  getDraftFeedback(draft) {
+    return draft.aiFeedback ? this.normalizeFeedback(draft.aiFeedback) : null;
+  }
+
+  normalizeFeedback(feedback) {
+    return typeof feedback === "string"
+      ? this.parseLegacyFeedback(feedback)
+      : feedback;
+  }
+
+  // Drafts graded before feedback was structured stored one markdown-style
+  // string: bold headings, "•" bullets, bold-labelled notes and a closing
+  // line of encouragement
+  parseLegacyFeedback(text) {
+    const feedback = {
+      score: null,
+      previousScore: null,
+      pros: [],
+      cons: [],
+      nextSteps: [],
+      nextDraftQuestions: [],
+      notes: [],
+      encouragement: "",
+    };
+    const sections = [
+      [/pros|strengths/i, "pros"],
+      [/cons|improvement|growth/i, "cons"],
+      [/next steps/i, "nextSteps"],
+      [/next draft/i, "nextDraftQuestions"],
+    ];
+    let list = null;
+
+    text.split("\n").forEach((rawLine) => {
+      const line = rawLine.trim();
+      if (!line) return;
+
+      const score = line.match(/Score: (\d+)\/100/);
+      const improvement = line.match(/increased from (\d+) to/);
+      const heading = line.match(/^\*\*([^*]+?):?\*\*$/);
+
+      if (score && line.startsWith("**")) {
+        feedback.score = Number(score[1]);
+      } else if (improvement) {
+        feedback.previousScore = Number(improvement[1]);
+      } else if (heading) {
+        const section = sections.find(([pattern]) => pattern.test(heading[1]));
+        list = section ? feedback[section[1]] : null;
+      } else if (line.startsWith("•") && list) {
+        list.push(line.slice(1).trim());
+      } else if (line.includes("**")) {
+        feedback.notes.push(line.replace(/\*\*/g, ""));
+      } else {
+        feedback.encouragement = line;
+      }
+    });
+
+    return feedback;
+  }
+
+  renderFeedback(feedback) {
+    const f = this.normalizeFeedback(feedback);
+    const card = (kind, heading, items) =>
+      items.length === 0
+        ? ""
+        : `
+          <div class="feedback-card ${kind}">
+            <h4>${heading}</h4>
+            <ul>${items
+              .map((item) => `<li>${this.escapeHtml(item)}</li>`)
+              .join("")}</ul>
+          </div>
+        `;
+
+    return `
+      <div class="feedback-cards">
+        ${
+          f.previousScore && f.score > f.previousScore
+            ? `<p class="feedback-improvement">🎉 Great improvement! Your score increased from ${f.previousScore} to ${f.score}!</p>`
+            : ""
+        }
+        ${card("pros", "👍 Pros", f.pros)}
+        ${card("cons", "🔧 Cons", f.cons)}
+        ${card("next-steps", "➡️ Next Steps", f.nextSteps)}
+        ${card(
+          "next-draft",
+          "💭 Think about for your next draft",
+          f.nextDraftQuestions
+        )}
+        ${f.notes
+          .map(
+            (note) => `<p class="feedback-note">${this.escapeHtml(note)}</p>`
+          )
+          .join("")}
+        ${
+          f.encouragement
+            ? `<p class="feedback-encouragement">${this.escapeHtml(
+                f.encouragement
+              )}</p>`
+            : ""
+        }
+      </div>
+    `;
+  }
+
+  // Plain text for the ai_feedback column of projects_final
+  feedbackToText(feedback) {
+    if (!feedback) return null;
+
+    const f = this.normalizeFeedback(feedback);
+    const section = (heading, items) =>
+      items.length === 0
+        ? ""
+        : `${heading}:\n${items.map((item) => `• ${item}`).join("\n")}`;
+
+    return [
+      f.score !== null ? `Score: ${f.score}/100` : "",
+      section("Pros", f.pros),
+      section("Cons", f.cons),
+      section("Next Steps", f.nextSteps),
+      ...f.notes,
+      f.encouragement,
+    ]
+      .filter(Boolean)
+      .join("\n\n");
+  }
+
+  // Screen Management
+  showScreen(screenName) {
+    // Hide all screens
+    document.querySelectorAll(".screen").forEach((screen) => {
+      screen.style.display = "none";
+    });
+
+    // Show target screen
+    const targetScreen = document.getElementById(`screen-${screenName}`);
+    if (targetScreen) {
+      targetScreen.style.display = "block";
+    }
+
+    // Update navigation
+    document.querySelectorAll(".nav-btn").forEach((btn) => {
+      btn.classList.remove("active");
+    });
+    document
+      .querySelector(`[data-screen="${screenName}"]`)
+      ?.classList.add("active");
+
+    this.currentScreen = screenName;
+
+    // Load screen-specific data
+    this.loadScreenData(screenName);
+  }
+
+  loadScreenData(screenName) {
+    switch (screenName) {
+      case "global":
+        this.loadGlobalIdeas();
+        break;
+      case "submissions":
+        this.loadMySubmissions();
+        break;
+      case "submit":
+        this.loadSubmitScreen();
+        break;
+      case "settings":
+        this.loadSettingsScreen();
         break;
     }
+  }
+
+  // Screen: Global Ideas
+  async loadGlobalIdeas() {
+    const container = document.getElementById("global-ideas-list");
+    if (!container) return;
+
+    container.innerHTML = '<div class="loading">Loading top ideas...</div>';
+
+    if (!this.supabase) {
+      container.innerHTML = '<div class="error">Database not connected</div>';
+      return;
+    }
+
+    try {
+      let query = this.supabase
+        .from("projects_final")
+        .select("local_user_name, project_name, ai_score, submitted_at");
+
+      // Optionally rank only scores from the current AI prompt against each
+      // other. Off by default: projects submitted before grading was
+      // recorded have no grading info and would all drop out.
+      const filter = document.getElementById("ideas-grading-filter");
+      if (filter && filter.value === "current") {
+        query = query
+          .eq("project_payload->grading->>grader", "ai")
+          .eq(
+            "project_payload->grading->>version",
+            String(GradingContract.GRADING_PROMPT_VERSION)
+          );
+      }
+
+      const { data, error } = await query
+        .order("ai_score", { ascending: false })
+        .limit(20);
+
+      if (error) throw error;
+
+      if (!data || data.length === 0) {
+        container.innerHTML =
+          '<div class="empty">No ideas submitted yet. Be the first!</div>';
+        return;
+      }
+
+      let html = '<div class="ideas-table">';
+      data.forEach((idea, index) => {
+        const date = new Date(idea.submitted_at).toLocaleDateString();
+        html += `
+          <div class="idea-row" onclick="app.showIdeaPreview('${
+            idea.project_name
+          }')">
+            <div class="idea-rank">#${index + 1}</div>
+            <div class="idea-details">
+              <div class="idea-name">${this.escapeHtml(idea.project_name)}</div>
+              <div class="idea-meta">${this.escapeHtml(
+                idea.local_user_name
+              )} • ${date}</div>
+            </div>
+            <div class="idea-score">${idea.ai_score}/100</div>
+          </div>
+        `;
+      });
+      html += "</div>";
+
+      container.innerHTML = html;
+    } catch (error) {
+      console.error("Error loading global ideas:", error);
+      container.innerHTML = '<div class="error">Failed to load ideas</div>';
+    }
+  }
+
+  showIdeaPreview(projectName) {
+    // Show blurred overlay - no sneak peeks!
+    const overlay = document.createElement("div");
+    overlay.className = "idea-preview-overlay";
+    overlay.innerHTML = `
+      <div class="preview-modal">
+        <h3>🔒 No Sneak Peeks!</h3>
+        <p>Submit your own amazing idea to see what others are building.</p>
+        <button onclick="this.parentElement.parentElement.remove()">Got it!</button>
+      </div>
+    `;
+    document.body.appendChild(overlay);
+  }
+
+  async submitFeedback(formData) {
+    if (!this.supabase) {
+      alert("Database not available");
+      return;
+    }
+
+    try {
+      const feedback = {
+        username: formData.username || "Anonymous",
+        contact: formData.contact || null,
+        message: formData.message,
+        context: {
+          page: "global_ideas",
+          language: this.currentLanguage,
+          timestamp: new Date().toISOString(),
+        },
+      };
+
+      await this.queueOutbox("feedback", feedback);
+
+      this.showMessage(
+        navigator.onLine
+          ? "Thank you for your feedback!"
+          : "Thank you! Your feedback will be sent when you're back online.",
+        "success"
+      );
+      document.getElementById("feedback-form").reset();
+    } catch (error) {
+      console.error("Error submitting feedback:", error);
+      this.showMessage("Failed to submit feedback. Please try again.", "error");
+    }
+  }
+
+  // Screen: My Submissions
+  loadMySubmissions() {
+    const container = document.getElementById("my-submissions-list");
+    if (!container) return;
+
+    const user = this.getUsers().find((u) => u.id === this.currentUser);
+    if (!user) {
+      container.innerHTML =
+        '<div class="empty">Sign in on the Submit Ideas screen to see your submissions.</div>';
+      return;
+    }
+
+    const projects = this.getProjects().filter(
+      (p) => p.userId === user.id && !p.deleted
+    );
+
+    if (projects.length === 0) {
+      container.innerHTML =
+        '<div class="empty">No submissions yet. Go to Submit Ideas to get started!</div>';
+      return;
+    }
+
+    let html = `<div class="user-section">
+      <h3>${this.escapeHtml(user.name)}'s Projects</h3>
+      <div class="projects-list">`;
+
+    projects.forEach((project) => {
+      html += this.renderProjectSummary(project);
+    });
+
+    html += "</div></div>";
+
+    container.innerHTML = html;
+    this.loadSubmissionMedia(projects);
+    this.refreshMentorStatuses(projects);
+    this.refreshFinalSubmissions(projects);
+  }
+
+  async loadSubmissionMedia(projects) {
+    for (const project of projects) {
+      try {
+        for (const media of await this.getProjectMedia(project)) {
+          const slot = document.getElementById(
+            `draft-media-${project.id}-${media.draftNumber}`
+          );
+          if (!slot) continue;
+          slot.innerHTML += media.type.startsWith("image/")
+            ? `<img src="${media.dataUrl}" alt="Product photo">`
+            : `<audio controls src="${media.dataUrl}"></audio>`;
+        }
+      } catch (error) {
+        console.error("Error loading attachments:", error);
+      }
+    }
+  }
+
+  renderProjectSummary(project) {
+    const drafts = project.drafts.sort((a, b) => a.draftNumber - b.draftNumber);
+    const finalDraft = drafts.find((d) => d.draftNumber === 3);
+    const awaiting = drafts.some((d) => this.isAwaitingGrade(d));
+    const status =
+      (finalDraft ? "Final" : `Draft ${drafts.length}`) +
+      (awaiting ? " · ⏳ Awaiting grade" : "");
 
     let html = `
-      <div class="draft-form">
-        <h3>${title}</h3>
-        <p>${instructions}</p>
-        <form onsubmit="app.submitDraft(event, ${draftNumber})">
+      <div class="project-summary">
+        <div class="project-header" onclick="app.toggleProjectDetails('${
+          project.id
+        }')">
+          <div class="project-info">
+            <div class="project-name">${this.escapeHtml(project.name)}</div>
+            <div class="project-status">${status}</div>
+          </div>
+          <div class="expand-arrow">▼</div>
+        </div>
+        <div class="project-details" id="project-details-${
+          project.id
+        }" style="display: none;">
+          ${
+            drafts.length > 1
+              ? `<button class="btn-secondary compare-btn" onclick="app.showCompareDrafts('${project.id}')">🔍 Compare drafts</button>`
+              : ""
+          }
+          ${
+            finalDraft && !this.isAwaitingGrade(finalDraft)
+              ? this.renderSubmissionReceipt(project, finalDraft)
+              : ""
+          }
+          ${
+            project.mentorRequest
+              ? this.renderMentorTracker(project)
+              : this.qualifiesForMentor(project)
+              ? `<button class="btn-secondary mentor-btn" onclick="app.showMentorStep('${project.id}')">🤝 Connect with a mentor</button>`
+              : ""
+          }
+    `;
+
+    drafts.forEach((draft) => {
+      const scoreText = draft.aiScore
+        ? `${draft.aiScore}/100`
+        : draft.offlineEstimate
+        ? `≈${draft.offlineEstimate.score}/100 (offline estimate)`
+        : this.isAwaitingGrade(draft)
+        ? "⏳ Awaiting grade"
+        : "Not graded";
+      html += `
+        <div class="draft-item" onclick="app.toggleDraftDetails('${
+          project.id
+        }', ${draft.draftNumber})">
+          <div class="draft-header">
+            <span>Draft ${draft.draftNumber} - ${scoreText}</span>
+            <span class="draft-arrow">▶</span>
+          </div>
+          <div class="draft-details" id="draft-${project.id}-${
+        draft.draftNumber
+      }" style="display: none;">
+            ${
+              draft.aiFeedback
+                ? `<div class="ai-feedback">${this.renderFeedback(
+                    draft.aiFeedback
+                  )}</div>`
+                : draft.offlineEstimate
+                ? this.renderOfflineEstimate(draft.offlineEstimate)
+                : '<div class="no-feedback">No feedback yet</div>'
+            }
+            ${
+              draft.grading
+                ? `<div class="grading-info">${this.escapeHtml(
+                    this.describeGrading(draft.grading)
+                  )}</div>`
+                : ""
+            }
+            ${
+              draft.aiFeedback
+                ? this.renderActionItemReview(
+                    draft.actionItemReview,
+                    `Draft ${draft.draftNumber - 1} feedback`
+                  )
+                : ""
+            }
+            ${
+              this.draftHasMedia(draft)
+                ? `<div class="draft-media" id="draft-media-${project.id}-${draft.draftNumber}"></div>`
+                : ""
+            }
+          </div>
+        </div>
+      `;
+    });
+
+    html += "</div></div>";
+    return html;
+  }
+
+  toggleProjectDetails(projectId) {
+    const details = document.getElementById(`project-details-${projectId}`);
+    const arrow = details.previousElementSibling.querySelector(".expand-arrow");
+
+    if (details.style.display === "none") {
+      details.style.display = "block";
+      arrow.textContent = "▲";
+    } else {
+      details.style.display = "none";
+      arrow.textContent = "▼";
+    }
+  }
+
+  toggleDraftDetails(projectId, draftNumber) {
+    const details = document.getElementById(
+      `draft-${projectId}-${draftNumber}`
+    );
+    const arrow = details.previousElementSibling.querySelector(".draft-arrow");
+
+    if (details.style.display === "none") {
+      details.style.display = "block";
+      arrow.textContent = "▼";
+    } else {
+      details.style.display = "none";
+      arrow.textContent = "▶";
+    }
+  }
+
+  // Draft Comparison
+  // Lines up every draft's answers by question, and checks which points
+  // from each draft's feedback show up in the next draft's answers.
+  showCompareDrafts(projectId) {
+    const project = this.getProjects().find((p) => p.id === projectId);
+    if (!project) return;
+
+    const drafts = [...project.drafts].sort(
+      (a, b) => a.draftNumber - b.draftNumber
+    );
+    const rows = this.getCompareRows(drafts);
+
+    const modal = document.createElement("div");
+    modal.className = "modal-overlay";
+    modal.innerHTML = `
+      <div class="modal compare-modal">
+        <h3>Compare Drafts: ${this.escapeHtml(project.name)}</h3>
+        <div class="compare-table-wrapper">
+          <table class="compare-table">
+            <thead>
+              <tr>
+                <th></th>
+                ${drafts
+                  .map(
+                    (draft, i) => `
+                  <th>
+                    Draft ${draft.draftNumber}
+                    <div class="compare-score">${this.formatScoreChange(
+                      draft,
+                      drafts[i - 1]
+                    )}</div>
+                  </th>
+                `
+                  )
+                  .join("")}
+              </tr>
+            </thead>
+            <tbody>
+              ${rows
+                .map(
+                  (row) => `
+                <tr>
+                  <th>${this.escapeHtml(row.label)}</th>
+                  ${drafts
+                    .map(
+                      (draft) =>
+                        `<td>${this.formatCompareAnswer(draft, row)}</td>`
+                    )
+                    .join("")}
+                </tr>
+              `
+                )
+                .join("")}
+            </tbody>
+          </table>
+        </div>
+        ${
+          drafts.some((draft) => !this.isSameGrading(draft, drafts[0]))
+            ? '<p class="compare-note">These drafts were graded by different grader versions, so score changes between them are not shown.</p>'
+            : ""
+        }
+        ${this.renderFeedbackFollowThrough(drafts)}
+        <div class="modal-buttons">
+          <button type="button" onclick="this.closest('.modal-overlay').remove()">Close</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+  }
+
+  // One row per question id, in the order the questions are first asked.
+  // Answers saved under questions no longer in the bank keep their own row.
+  getCompareRows(drafts) {
+    const rows = [];
+    const addRow = (id, question) => {
+      if (rows.some((row) => row.id === id)) return;
+      rows.push({
+        id,
+        label: question ? question.label : id.replace(/_/g, " "),
+        question,
+      });
+    };
+
+    drafts.forEach((draft) => {
+      const questions = this.getDraftQuestions(draft.draftNumber, [draft]);
+      questions.forEach((q) => {
+        if (draft.answers[q.id] || draft.answers[`${q.id}_voice`]) {
+          addRow(q.id, q);
+        }
+      });
+      Object.keys(draft.answers).forEach((id) => {
+        const known =
+          questions.some((q) => q.id === id) ||
+          id.endsWith("_voice") ||
+          id === "share_photos";
+        if (!known) addRow(id, null);
+      });
+    });
+
+    return rows;
+  }
+
+  formatCompareAnswer(draft, row) {
+    const value = draft.answers[row.id];
+    const voice = draft.answers[`${row.id}_voice`] ? " 🎤" : "";
+    if (!value) return voice ? `<em>Voice answer</em>${voice}` : "—";
+
+    return this.escapeHtml(this.describeAnswer(row.question, value)) + voice;
+  }
+
+  formatScoreChange(draft, previousDraft) {
+    if (!draft.aiScore) return "Not graded";
+    if (
+      !previousDraft ||
+      !previousDraft.aiScore ||
+      !this.isSameGrading(draft, previousDraft)
+    ) {
+      return `${draft.aiScore}/100`;
+    }
+
+    const change = draft.aiScore - previousDraft.aiScore;
+    const sign = change > 0 ? "+" : "";
+    return `${draft.aiScore}/100 <span class="score-change ${
+      change >= 0 ? "up" : "down"
+    }">${sign}${change}</span>`;
+  }
+
+  renderFeedbackFollowThrough(drafts) {
+    return drafts
+      .slice(1)
+      .map((draft, i) => {
+        const previous = drafts[i];
+        const review =
+          draft.actionItemReview ||
+          this.reviewActionItems(
+            previous,
+            this.getGradingAnswers(draft.draftNumber, draft.answers, {}, [
+              draft,
+            ])
+          );
+        return this.renderActionItemReview(
+          review,
+          `Draft ${previous.draftNumber} feedback → Draft ${draft.draftNumber}`
+        );
+      })
+      .join("");
+  }
+
+  // Action Items
+  // Each con and next step of a graded draft is stored as an action item
+  // with an id. The next draft is reviewed against them: by the grader when
+  // it answered for an item, by key words (see rubric.js) otherwise.
+  buildActionItems(draftNumber, grade) {
+    return [...grade.cons, ...grade.nextSteps].map((text, i) => ({
+      id: `d${draftNumber}-${i + 1}`,
+      text,
+    }));
+  }
+
+  getActionItems(draft) {
+    if (draft.actionItems) return draft.actionItems;
+
+    // Drafts graded before action items were stored only have feedback
+    const feedback = this.getDraftFeedback(draft);
+    return feedback ? this.buildActionItems(draft.draftNumber, feedback) : [];
+  }
+
+  reviewActionItems(previousDraft, gradingAnswers, graderReview = []) {
+    if (!previousDraft) return [];
+
+    const items = this.getActionItems(previousDraft);
+    const keywordReview = Rubric.reviewActionItems(
+      items,
+      gradingAnswers,
+      this.currentLanguage
+    );
+
+    return items.map((item, i) => {
+      const reviewed = graderReview.find((r) => r.id === item.id);
+      return {
+        ...item,
+        status: (reviewed || keywordReview[i]).status,
+        note: reviewed ? reviewed.note : null,
+        byKeywords: !reviewed,
+      };
+    });
+  }
+
+  renderActionItemReview(review, title) {
+    if (!review || review.length === 0) return "";
+
+    const statuses = {
+      addressed: { icon: "✅", label: "Addressed" },
+      partial: { icon: "🟡", label: "Partly addressed" },
+      not_addressed: { icon: "⬜", label: "Not addressed yet" },
+      unknown: { icon: "❔", label: "Not checked yet" },
+    };
+
+    return `
+      <div class="feedback-followup">
+        <h4>${this.escapeHtml(title)}</h4>
+        <ul>
+          ${review
+            .map(
+              (item) => `
+            <li class="${item.status.replace("_", "-")}">
+              ${statuses[item.status].icon} ${this.escapeHtml(item.text)}
+              <span class="followup-status">${
+                statuses[item.status].label
+              }</span>
+              ${
+                item.note
+                  ? `<div class="followup-note">${this.escapeHtml(
+                      item.note
+                    )}</div>`
+                  : ""
+              }
+            </li>
+          `
+            )
+            .join("")}
+        </ul>
+        ${
+          review.some((item) => item.byKeywords && item.status !== "unknown")
+            ? '<p class="compare-note">Some points were checked by key words in your answers, so treat those as a guide.</p>'
+            : ""
+        }
+        ${
+          review.some((item) => item.status === "unknown")
+            ? '<p class="compare-note">Points marked ❔ can only be checked in English on this device. Your AI grade will review them.</p>'
+            : ""
+        }
+      </div>
+    `;
+  }
+
+  // Mentor Connection
+  // Final drafts scoring over the threshold can ask for a mentor. The
+  // request goes out through the outbox with the user's consent, and the
+  // team moves it along; its status is read back on My Submissions.
+  qualifiesForMentor(project) {
+    const finalDraft = project.drafts.find((d) => d.draftNumber === 3);
+    return !!finalDraft && finalDraft.aiScore > MENTOR_SCORE_THRESHOLD;
+  }
+
+  showMentorStep(projectId) {
+    const project = this.getProjects().find((p) => p.id === projectId);
+    if (!project || !this.qualifiesForMentor(project)) return;
+
+    const finalDraft = project.drafts.find((d) => d.draftNumber === 3);
+    const modal = document.createElement("div");
+    modal.className = "modal-overlay";
+    modal.innerHTML = `
+      <div class="modal mentor-modal">
+        <h3>🤝 Connect with a mentor</h3>
+        <p>${this.escapeHtml(project.name)} scored ${
+      finalDraft.aiScore
+    }/100. A volunteer mentor can help you take the next step.</p>
+        <form onsubmit="app.submitMentorRequest(event, '${project.id}')">
+          <div class="form-group">
+            <label>How should the mentor contact you?</label>
+            <div class="choice-group">
+              ${MENTOR_CHANNELS.map(
+                (channel, i) =>
+                  `<label><input type="radio" name="channel" value="${
+                    channel.value
+                  }" ${i === 0 ? "checked" : ""}> ${channel.label}</label>`
+              ).join("")}
+            </div>
+          </div>
+          <div class="form-group">
+            <label for="mentor-contact">Email or phone number</label>
+            <input type="text" id="mentor-contact" name="contact" value="${this.escapeHtml(
+              finalDraft.answers.contact_email || ""
+            )}" required>
+          </div>
+          <div class="form-group">
+            <label for="mentor-language">Language you'd like to talk in</label>
+            <select id="mentor-language" name="language">
+              <option value="en">English</option>
+              ${APP_LANGUAGES.map(
+                (lang) =>
+                  `<option value="${lang.code}" ${
+                    lang.code === this.currentLanguage ? "selected" : ""
+                  }>${lang.name}</option>`
+              ).join("")}
+            </select>
+          </div>
+          <div class="form-group">
+            <div class="choice-group">
+              <label><input type="checkbox" name="consent" value="yes" required> I agree that Capsera can share my final project and these contact details with a mentor</label>
+            </div>
+          </div>
+          <div class="modal-buttons">
+            <button type="submit" class="btn-primary">Ask for a mentor</button>
+            <button type="button" class="btn-secondary" onclick="this.closest('.modal-overlay').remove()">Not now</button>
+          </div>
+        </form>
+      </div>
+    `;
+    document.body.appendChild(modal);
+  }
+
+  async submitMentorRequest(event, projectId) {
+    event.preventDefault();
+    const form = event.target;
+
+    try {
+      const project = this.getProjects().find((p) => p.id === projectId);
+      const channel = form.elements.channel.value;
+      const contact = form.elements.contact.value.trim();
+
+      if (form.elements.consent.checked !== true) {
+        throw new Error("Please agree to share your details with a mentor");
+      }
+      if (channel === "email" && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(contact)) {
+        throw new Error("Please enter a valid email address");
+      }
+      if (channel !== "email" && contact.replace(/\D/g, "").length < 10) {
+        throw new Error("Please enter a phone number with at least 10 digits");
+      }
+
+      project.mentorRequest = {
+        id: crypto.randomUUID(),
+        channel,
+        contact,
+        language: form.elements.language.value,
+        consentedAt: new Date().toISOString(),
+        status: "requested",
+      };
+      await this.saveProject(project);
+      await this.queueMentorRequest(project);
+
+      form.closest(".modal-overlay").remove();
+      this.showMessage(
+        "Mentor request saved! Track it in My Submissions.",
+        "success"
+      );
+      if (this.currentScreen === "submissions") this.loadMySubmissions();
+    } catch (error) {
+      console.error("Error requesting mentor:", error);
+      this.showMessage(error.message, "error");
+    }
+  }
+
+  // The request is saved before it is queued, so queuedAt tells a request
+  // that is safely in the outbox from one that never got there. Retrying
+  // reuses the request id, so the server keeps a single row.
+  async queueMentorRequest(project) {
+    const request = project.mentorRequest;
+    const user = this.getUsers().find((u) => u.id === project.userId);
+    const finalDraft = project.drafts.find((d) => d.draftNumber === 3);
+
+    await this.queueOutbox(
+      "mentor_requests",
+      {
+        request_id: request.id,
+        local_user_name: user.name,
+        project_name: project.name,
+        final_score: finalDraft.aiScore,
+        channel: request.channel,
+        contact: request.contact,
+        language: request.language,
+        consented_at: request.consentedAt,
+      },
+      { onConflict: "request_id" }
+    );
+
+    request.queuedAt = new Date().toISOString();
+    await this.saveProject(project);
+  }
+
+  async retryMentorRequest(projectId) {
+    const project = this.getProjects().find((p) => p.id === projectId);
+    if (!project || !project.mentorRequest) return;
+
+    try {
+      await this.queueMentorRequest(project);
+      this.showMessage("Mentor request queued for sending", "success");
+    } catch (error) {
+      console.error("Error requesting mentor:", error);
+      this.showMessage(error.message, "error");
+    }
+    if (this.currentScreen === "submissions") this.loadMySubmissions();
+  }
+
+  isMentorRequestQueued(request) {
+    return this.outbox.some(
+      (entry) =>
+        entry.table === "mentor_requests" &&
+        entry.record.request_id === request.id
+    );
+  }
+
+  // A request still in the outbox has not reached the team yet
+  getMentorStep(request) {
+    const status =
+      request.status === "requested" &&
+      request.queuedAt &&
+      !this.isMentorRequestQueued(request)
+        ? "sent"
+        : request.status;
+    return Math.max(
+      0,
+      MENTOR_STEPS.findIndex((step) => step.status === status)
+    );
+  }
+
+  renderMentorTracker(project) {
+    const request = project.mentorRequest;
+    const current = this.getMentorStep(request);
+    const channel = MENTOR_CHANNELS.find((c) => c.value === request.channel);
+    const unsent =
+      request.status === "requested" &&
+      !request.queuedAt &&
+      !this.isMentorRequestQueued(request);
+
+    return `
+      <div class="mentor-tracker">
+        <h4>🤝 Mentor request</h4>
+        <ol>
+          ${MENTOR_STEPS.map(
+            (step, i) =>
+              `<li class="${
+                i < current || current === MENTOR_STEPS.length - 1
+                  ? "done"
+                  : i === current
+                  ? "current"
+                  : ""
+              }">${step.label}</li>`
+          ).join("")}
+        </ol>
+        <small>By ${
+          channel ? channel.label : request.channel
+        }: ${this.escapeHtml(request.contact)}</small>
+        ${
+          unsent
+            ? `<div class="mentor-unsent">⚠️ This request has not been sent yet</div>
+              <button class="btn-secondary" onclick="event.stopPropagation(); app.retryMentorRequest('${project.id}')">Try again</button>`
+            : ""
+        }
+      </div>
+    `;
+  }
+
+  // Statuses are read through an RPC that only answers for the request ids
+  // it is given (see supabase/mentor_requests.sql)
+  async refreshMentorStatuses(projects) {
+    const requests = projects
+      .filter((p) => p.mentorRequest)
+      .map((p) => p.mentorRequest);
+    if (!this.supabase || !navigator.onLine || requests.length === 0) return;
+
+    try {
+      const { data, error } = await this.supabase.rpc("mentor_request_status", {
+        request_ids: requests.map((r) => r.id),
+      });
+      if (error) throw new Error(error.message);
+
+      let changed = false;
+      for (const row of data || []) {
+        const project = projects.find(
+          (p) => p.mentorRequest && p.mentorRequest.id === row.request_id
+        );
+        // A row on the server also settles requests saved before queuedAt
+        // was recorded
+        if (
+          project &&
+          (project.mentorRequest.status !== row.status ||
+            !project.mentorRequest.queuedAt)
+        ) {
+          project.mentorRequest.status = row.status;
+          project.mentorRequest.queuedAt =
+            project.mentorRequest.queuedAt || new Date().toISOString();
+          await this.saveProject(project);
+          changed = true;
+        }
+      }
+      if (changed && this.currentScreen === "submissions") {
+        this.loadMySubmissions();
+      }
+    } catch (error) {
+      console.error("Error checking mentor requests:", error);
+    }
+  }
+
+  // Screen: Submit Ideas
+  loadSubmitScreen() {
+    this.populateUserDropdown();
+    this.populateProjectDropdown();
+    this.updateSubmitGreeting();
+  }
+
+  populateUserDropdown() {
+    const select = document.getElementById("user-select");
+    if (!select) return;
+
+    const users = this.getUsers().filter((u) => !u.deleted);
+    select.innerHTML = '<option value="">Select User</option>';
+
+    users.forEach((user) => {
+      const option = document.createElement("option");
+      option.value = user.id;
+      option.textContent = user.name;
+      if (this.currentUser === user.id) option.selected = true;
+      select.appendChild(option);
+    });
+  }
+
+  populateProjectDropdown() {
+    const select = document.getElementById("project-select");
+    if (!select) return;
+
+    select.innerHTML = '<option value="">Select Project</option>';
+
+    if (!this.currentUser) return;
+
+    const projects = this.getProjects().filter(
+      (p) => p.userId === this.currentUser && !p.deleted
+    );
+    projects.forEach((project) => {
+      const option = document.createElement("option");
+      option.value = project.id;
+      option.textContent = project.name;
+      if (this.currentProject === project.id) option.selected = true;
+      select.appendChild(option);
+    });
+  }
+
+  updateSubmitGreeting() {
+    const greeting = document.getElementById("submit-greeting");
+    if (!greeting) return;
+
+    if (this.currentUser) {
+      const user = this.getUsers().find((u) => u.id === this.currentUser);
+      greeting.innerHTML = `<h2>Hi ${this.escapeHtml(user.name)}! 👋</h2>
+        <p>Ready to turn your idea into reality? Follow our 3-draft process:</p>
+        <div class="process-steps">
+          <div class="step">📝 Draft 1: Initial Concept</div>
+          <div class="step">🗣️ Draft 2: Customer Validation</div>
+          <div class="step">🚀 Draft 3: Final Pitch</div>
+        </div>`;
+    } else {
+      greeting.innerHTML = "<p>Select or create a user to get started!</p>";
+    }
+  }
+
+  onUserSelect(userId) {
+    if (userId && !this.userKeys[userId]) {
+      // Stay on the current user until the PIN has been entered
+      this.populateUserDropdown();
+      this.showSignInModal(userId);
+      return;
+    }
+
+    this.switchUser(userId);
+  }
+
+  switchUser(userId) {
+    // Save typed answers while the outgoing user's key is still available
+    this.flushAutosave();
+
+    if (this.currentUser && this.currentUser !== userId) {
+      this.lockUser(this.currentUser);
+    }
+
+    this.currentUser = userId || null;
+    this.currentProject = null;
+    this.populateUserDropdown();
+    this.populateProjectDropdown();
+    this.updateSubmitGreeting();
+    this.updateSignedInStatus();
+    this.hideSubmissionForm();
+    this.resetIdleTimer();
+  }
+
+  updateSignedInStatus() {
+    const status = document.getElementById("signed-in-status");
+    if (!status) return;
+
+    const user = this.getUsers().find((u) => u.id === this.currentUser);
+    if (!user) {
+      status.style.display = "none";
+      status.innerHTML = "";
+      return;
+    }
+
+    status.style.display = "flex";
+    status.innerHTML = `
+      <span>🔓 Signed in as <strong>${this.escapeHtml(
+        user.name
+      )}</strong></span>
+      <button type="button" onclick="app.signOut()" class="btn-secondary">🔒 Lock</button>
+    `;
+  }
+
+  onProjectSelect(projectId) {
+    this.flushAutosave();
+    this.currentProject = projectId;
+    if (projectId) {
+      this.showSubmissionForm();
+    } else {
+      this.hideSubmissionForm();
+    }
+  }
+
+  showSubmissionForm() {
+    const form = document.getElementById("submission-form");
+    if (!form) return;
+    this.stopVoiceRecording();
+
+    const project = this.getProjects().find(
+      (p) => p.id === this.currentProject
+    );
+    if (!project) return;
+
+    // Determine next draft number
+    const maxDraft = Math.max(0, ...project.drafts.map((d) => d.draftNumber));
+    const nextDraft = maxDraft + 1;
+
+    // The next draft builds on this one's feedback, so wait for the grade
+    const latestDraft = project.drafts.find((d) => d.draftNumber === maxDraft);
+    if (latestDraft && this.isAwaitingGrade(latestDraft)) {
+      this.activeDraft = null;
+      form.innerHTML = this.renderAwaitingGrade(latestDraft);
+      form.style.display = "block";
+      return;
+    }
+
+    if (nextDraft > 3) {
+      form.innerHTML =
+        '<div class="final-message">This project is complete! All 3 drafts have been submitted.</div>';
+      return;
+    }
+
+    form.innerHTML = this.generateDraftForm(nextDraft, project);
+    form.style.display = "block";
+    this.updateConditionalQuestions(form.querySelector("form"), nextDraft);
+
+    this.activeDraft = {
+      userId: project.userId,
+      projectId: project.id,
+      draftNumber: nextDraft,
+    };
+    this.restoreAutosave().then(() => this.loadMediaPreviews());
+  }
+
+  hideSubmissionForm() {
+    this.stopVoiceRecording();
+    this.flushAutosave();
+    this.activeDraft = null;
+
+    const form = document.getElementById("submission-form");
+    if (form) form.style.display = "none";
+  }
+
+  // Draft Autosave
+  // Answers are saved, encrypted, a moment after the user stops typing and
+  // put back the next time the same user opens the same draft.
+  getDraftFormAnswers(form) {
+    const answers = {};
+    for (let [key, value] of new FormData(form).entries()) {
+      if (typeof value === "string") answers[key] = value.trim();
+    }
+    return answers;
+  }
+
+  scheduleAutosave() {
+    if (!this.activeDraft) return;
+
+    this.setAutosaveStatus("Unsaved changes", "unsaved");
+    clearTimeout(this.autosaveTimer);
+    this.autosaveTimer = setTimeout(
+      () => this.flushAutosave(),
+      AUTOSAVE_DELAY_MS
+    );
+  }
+
+  // Reads the form and key synchronously, so it is safe to call right
+  // before the form is replaced or the user is locked
+  async flushAutosave() {
+    if (!this.autosaveTimer) return;
+    clearTimeout(this.autosaveTimer);
+    this.autosaveTimer = null;
+
+    const form = document.querySelector("#submission-form form");
+    const key = this.activeDraft && this.userKeys[this.activeDraft.userId];
+    if (!form || !key) return;
+
+    const record = {
+      ...this.activeDraft,
+      answers: this.getDraftFormAnswers(form),
+      savedAt: new Date().toISOString(),
+    };
+
+    try {
+      this.setAutosaveStatus("Saving...", "saving");
+      const sealed = await this.sealRecord(record, AUTOSAVE_CLEAR_FIELDS, key);
+      await this.db.put("autosaves", sealed);
+      this.setAutosaveStatus("✓ Saved on this device", "saved");
+    } catch (error) {
+      console.error("Autosave failed:", error);
+      this.setAutosaveStatus("Could not save your answers", "error");
+    }
+  }
+
+  async restoreAutosave() {
+    const draft = this.activeDraft;
+
+    try {
+      const stored = await this.db.get("autosaves", [
+        draft.userId,
+        draft.projectId,
+        draft.draftNumber,
+      ]);
+      if (!stored || this.activeDraft !== draft) return;
+
+      const { answers, savedAt } = await this.openRecord(
+        stored,
+        this.getUserKey(draft.userId)
+      );
+      const form = document.querySelector("#submission-form form");
+      if (!form || this.activeDraft !== draft) return;
+
+      Object.entries(answers).forEach(([name, value]) => {
+        const field = form.elements[name];
+        if (field && !field.value) field.value = value;
+      });
+      this.updateConditionalQuestions(form, draft.draftNumber);
+      this.setAutosaveStatus(
+        `Restored unsaved answers from ${new Date(savedAt).toLocaleString()}`,
+        "saved"
+      );
+    } catch (error) {
+      console.error("Error restoring autosave:", error);
+    }
+  }
+
+  clearAutosave(draft) {
+    clearTimeout(this.autosaveTimer);
+    this.autosaveTimer = null;
+    this.setAutosaveStatus("", "");
+    return this.db.delete("autosaves", [
+      draft.userId,
+      draft.projectId,
+      draft.draftNumber,
+    ]);
+  }
+
+  setAutosaveStatus(text, state) {
+    const status = document.getElementById("autosave-status");
+    if (!status) return;
+    status.textContent = text;
+    status.className = `autosave-status ${state}`;
+  }
+
+  // Draft Media
+  // Photos and voice recordings are stored, encrypted, next to the draft as
+  // soon as they are captured, one per question. The form only carries an
+  // "attached" marker for them.
+  async saveMedia({ userId, projectId, draftNumber, questionId }, media, key) {
+    const record = { userId, projectId, draftNumber, questionId, ...media };
+    const sealed = await this.sealRecord(
+      record,
+      MEDIA_CLEAR_FIELDS,
+      key || this.getUserKey(userId)
+    );
+    await this.db.put("media", sealed);
+  }
+
+  async readUserMedia(projectIds, key) {
+    const media = [];
+    for (const projectId of projectIds) {
+      const records = await this.db.getAllFromIndex(
+        "media",
+        "projectId",
+        projectId
+      );
+      for (const record of records) {
+        media.push(await this.openRecord(record, key));
+      }
+    }
+    return media;
+  }
+
+  getProjectMedia(project) {
+    return this.readUserMedia([project.id], this.getUserKey(project.userId));
+  }
+
+  deleteMedia(draft, questionId) {
+    return this.db.delete("media", [
+      draft.projectId,
+      draft.draftNumber,
+      questionId,
+    ]);
+  }
+
+  // The media store is the source of truth for what is attached
+  async loadMediaPreviews() {
+    const draft = this.activeDraft;
+    if (!draft) return;
+
+    try {
+      const project = this.getProjects().find((p) => p.id === draft.projectId);
+      const media = (await this.getProjectMedia(project)).filter(
+        (m) => m.draftNumber === draft.draftNumber
+      );
+      const form = document.querySelector("#submission-form form");
+      if (!form || this.activeDraft !== draft) return;
+
+      form.querySelectorAll("[data-photo-for]").forEach((input) => {
+        const questionId = input.dataset.photoFor;
+        const photo = media.find((m) => m.questionId === questionId);
+        form.elements[questionId].value = photo ? "attached" : "";
+        this.renderPhotoPreview(form, questionId, photo);
+      });
+
+      form.querySelectorAll("[data-voice-for]").forEach((container) => {
+        const questionId = container.dataset.voiceFor;
+        const recording = media.find((m) => m.questionId === questionId);
+        this.setVoiceAttached(form, questionId, recording);
+      });
+    } catch (error) {
+      console.error("Error loading attachments:", error);
+    }
+  }
+
+  draftHasPhotos(draft) {
+    return QUESTION_BANK[draft.draftNumber].questions.some(
+      (q) => q.type === "photo" && draft.answers[q.id]
+    );
+  }
+
+  draftHasMedia(draft) {
+    return (
+      this.draftHasPhotos(draft) ||
+      Object.keys(draft.answers).some(
+        (id) => id.endsWith("_voice") && draft.answers[id]
+      )
+    );
+  }
+
+  // Draft Photos
+  // Photos are compressed as soon as they are picked. They leave the device
+  // with the final submission, and only if the user ticks the box on draft 3.
+  async onPhotoSelected(input) {
+    const file = input.files[0];
+    const draft = this.activeDraft;
+    const questionId = input.dataset.photoFor;
+    if (!file || !draft) return;
+
+    try {
+      input.disabled = true;
+      const photo = await this.compressImage(file);
+      await this.saveMedia({ ...draft, questionId }, photo);
+
+      input.form.elements[questionId].value = "attached";
+      this.renderPhotoPreview(input.form, questionId, photo);
+      this.scheduleAutosave();
+    } catch (error) {
+      console.error("Error saving photo:", error);
+      this.showMessage(
+        "Could not use that photo. Please try another one.",
+        "error"
+      );
+    } finally {
+      input.disabled = false;
+      input.value = "";
+    }
+  }
+
+  async compressImage(file) {
+    const image = await this.loadImage(file);
+    const scale = Math.min(
+      1,
+      PHOTO_MAX_DIMENSION / Math.max(image.width, image.height)
+    );
+
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(image.width * scale);
+    canvas.height = Math.round(image.height * scale);
+    canvas.getContext("2d").drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    return {
+      type: "image/jpeg",
+      width: canvas.width,
+      height: canvas.height,
+      dataUrl: canvas.toDataURL("image/jpeg", PHOTO_JPEG_QUALITY),
+      addedAt: new Date().toISOString(),
+    };
+  }
+
+  loadImage(file) {
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(file);
+      const image = new Image();
+      image.onload = () => {
+        URL.revokeObjectURL(url);
+        resolve(image);
+      };
+      image.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error("Could not read image"));
+      };
+      image.src = url;
+    });
+  }
+
+  async removePhoto(questionId) {
+    const draft = this.activeDraft;
+    const form = document.querySelector("#submission-form form");
+    if (!draft || !form) return;
+
+    try {
+      await this.deleteMedia(draft, questionId);
+      form.elements[questionId].value = "";
+      this.renderPhotoPreview(form, questionId, null);
+      this.scheduleAutosave();
+    } catch (error) {
+      console.error("Error removing photo:", error);
+    }
+  }
+
+  renderPhotoPreview(form, questionId, photo) {
+    const preview = form.querySelector(`#${questionId}-preview`);
+    if (!preview) return;
+
+    preview.innerHTML = photo
+      ? `
+        <img src="${photo.dataUrl}" alt="Your product photo">
+        <button type="button" class="btn-secondary" onclick="app.removePhoto('${questionId}')">Remove photo</button>
+      `
+      : "";
+  }
+
+  // Uploads every photo of the project to Supabase storage, in a folder
+  // named after the submission id so projects from different devices cannot
+  // clash. Uploaded paths are recorded on the submission, so a retry only
+  // uploads what is missing; a photo that is already there (an upload whose
+  // answer was lost) counts as uploaded.
+  async uploadProjectPhotos(project, submission) {
+    if (!this.supabase) {
+      throw new Error("Photo uploads are not available right now");
+    }
+
+    const photos = (await this.getProjectMedia(project)).filter((m) =>
+      m.type.startsWith("image/")
+    );
+    submission.photos = submission.photos || [];
+
+    for (const photo of photos) {
+      const path = `${submission.id}/draft${photo.draftNumber}-${photo.questionId}.jpg`;
+      if (submission.photos.some((p) => p.path === path)) continue;
+
+      const blob = await (await fetch(photo.dataUrl)).blob();
+      const { error } = await this.supabase.storage
+        .from(PHOTO_BUCKET)
+        .upload(path, blob, { contentType: photo.type });
+      if (error && String(error.statusCode) !== "409") throw error;
+
+      submission.photos.push({
+        draftNumber: photo.draftNumber,
+        questionId: photo.questionId,
+        path,
+      });
+    }
+  }
+
+  // Voice Answers
+  // Any written answer can be recorded instead. Where the browser offers
+  // speech recognition the words are also typed into the answer; either
+  // way the grader gets the transcript and the recording stays on the device.
+  canRecordVoice() {
+    return (
+      typeof MediaRecorder !== "undefined" &&
+      !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia)
+    );
+  }
+
+  async toggleVoiceRecording(questionId) {
+    if (this.recording) {
+      this.stopVoiceRecording();
+      return;
+    }
+
+    const draft = this.activeDraft;
+    if (!draft) return;
+
+    let stream;
+    try {
+      const key = this.getUserKey(draft.userId);
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      const recorder = new MediaRecorder(stream, {
+        audioBitsPerSecond: VOICE_BITS_PER_SECOND,
+      });
+      const transcription = this.startTranscription();
+      const chunks = [];
+      const startedAt = Date.now();
+
+      recorder.ondataavailable = (event) => chunks.push(event.data);
+      recorder.onstop = async () => {
+        stream.getTracks().forEach((track) => track.stop());
+        const transcript = transcription ? await transcription.stop() : "";
+        const blob = new Blob(chunks, {
+          type: recorder.mimeType || "audio/webm",
+        });
+
+        try {
+          const recording = {
+            type: blob.type,
+            dataUrl: await this.blobToDataUrl(blob),
+            duration: Math.round((Date.now() - startedAt) / 1000),
+            transcript,
+            addedAt: new Date().toISOString(),
+          };
+          // Saved with the key captured at the start, in case the user was
+          // locked while recording
+          await this.saveMedia({ ...draft, questionId }, recording, key);
+          this.onVoiceSaved(draft, questionId, recording);
+        } catch (error) {
+          console.error("Error saving recording:", error);
+          this.showMessage("Could not save your recording", "error");
+        }
+      };
+
+      recorder.start();
+      this.recording = {
+        questionId,
+        recorder,
+        timer: setTimeout(
+          () => this.stopVoiceRecording(),
+          VOICE_MAX_SECONDS * 1000
+        ),
+      };
+      this.setVoiceButton(questionId, true);
+    } catch (error) {
+      console.error("Error starting recording:", error);
+      if (stream) stream.getTracks().forEach((track) => track.stop());
+      this.showMessage(
+        "Could not use the microphone. Check the app's permissions.",
+        "error"
+      );
+    }
+  }
+
+  stopVoiceRecording() {
+    const recording = this.recording;
+    if (!recording) return;
+
+    this.recording = null;
+    clearTimeout(recording.timer);
+    recording.recorder.stop();
+    this.setVoiceButton(recording.questionId, false);
+  }
+
+  // Returns null when speech recognition is unavailable. Recognition often
+  // needs a connection, so errors just leave the transcript empty.
+  startTranscription() {
+    const Recognition =
+      window.SpeechRecognition || window.webkitSpeechRecognition;
+    if (!Recognition) return null;
+
+    const recognition = new Recognition();
+    recognition.lang = this.currentLanguage;
+    recognition.continuous = true;
+    recognition.interimResults = false;
+
+    const parts = [];
+    recognition.onresult = (event) => {
+      for (let i = event.resultIndex; i < event.results.length; i++) {
+        if (event.results[i].isFinal) {
+          parts.push(event.results[i][0].transcript.trim());
+        }
+      }
+    };
+    recognition.onerror = (event) => {
+      console.warn("Speech recognition unavailable:", event.error);
+    };
+    const ended = new Promise((resolve) => {
+      recognition.onend = () => resolve(parts.join(" "));
+    });
+
+    try {
+      recognition.start();
+    } catch (error) {
+      return null;
+    }
+
+    return {
+      stop: () => {
+        recognition.stop();
+        return ended;
+      },
+    };
+  }
+
+  onVoiceSaved(draft, questionId, recording) {
+    const form = document.querySelector("#submission-form form");
+    if (!form || this.activeDraft !== draft) return;
+
+    const field = form.elements[questionId];
+    if (recording.transcript) {
+      field.value = field.value
+        ? `${field.value} ${recording.transcript}`
+        : recording.transcript;
+    }
+    this.setVoiceAttached(form, questionId, recording);
+    this.scheduleAutosave();
+  }
+
+  async removeVoiceAnswer(questionId) {
+    const draft = this.activeDraft;
+    const form = document.querySelector("#submission-form form");
+    if (!draft || !form) return;
+
+    try {
+      await this.deleteMedia(draft, questionId);
+      this.setVoiceAttached(form, questionId, null);
+      this.scheduleAutosave();
+    } catch (error) {
+      console.error("Error removing recording:", error);
+    }
+  }
+
+  // A recording counts as an answer, so the written one becomes optional
+  setVoiceAttached(form, questionId, recording) {
+    const project = this.getProjects().find(
+      (p) => p.id === this.activeDraft.projectId
+    );
+    const question = this.getDraftQuestions(
+      this.activeDraft.draftNumber,
+      project.drafts
+    ).find((q) => q.id === questionId);
+    form.elements[`${questionId}_voice`].value = recording ? "attached" : "";
+    form.elements[questionId].required = !recording && question.required;
+
+    const preview = form.querySelector(`#${questionId}-voice-preview`);
+    preview.innerHTML = recording
+      ? `
+        <audio controls src="${recording.dataUrl}"></audio>
+        <button type="button" class="btn-secondary" onclick="app.removeVoiceAnswer('${questionId}')">Delete recording</button>
+      `
+      : "";
+  }
+
+  setVoiceButton(questionId, recording) {
+    const button = document.querySelector(
+      `[data-voice-for="${questionId}"] .voice-record-btn`
+    );
+    if (!button) return;
+    button.textContent = recording ? "⏹ Stop recording" : "🎤 Record answer";
+    button.classList.toggle("recording", recording);
+  }
+
+  // Transcripts of the voice answers for one draft, keyed by question id
+  async getVoiceAnswers(project, draftNumber) {
+    const voiceAnswers = {};
+    (await this.getProjectMedia(project))
+      .filter(
+        (m) => m.draftNumber === draftNumber && m.type.startsWith("audio/")
+      )
+      .forEach((m) => {
+        voiceAnswers[m.questionId] = {
+          transcript: m.transcript,
+          duration: m.duration,
+        };
+      });
+    return voiceAnswers;
+  }
+
+  generateDraftForm(draftNumber, project) {
+    const { title, instructions } = QUESTION_BANK[draftNumber];
+    const questions = this.getDraftQuestions(draftNumber, project.drafts);
+
+    let html = `
+      <div class="draft-form">
+        <h3>${title}</h3>
+        <p>${instructions}</p>
+        <form onsubmit="app.submitDraft(event, ${draftNumber})">
+    `;
+
+    questions.forEach((q, i) => {
+      if (q.followUp && !questions[i - 1].followUp) {
+        html += `
+          <div class="follow-up-intro">
+            <h4>Questions about your idea</h4>
+            <p>Written for your idea from the feedback on Draft ${
+              draftNumber - 1
+            }.</p>
+          </div>
+        `;
+      }
+      html += `
+        <div class="form-group" data-question="${q.id}">
+          <label for="${
+            q.type === "photo" ? `${q.id}-file` : q.id
+          }">${this.escapeHtml(q.label)} ${q.required ? "*" : ""}</label>
+          ${this.renderQuestionInput(q)}
+          ${q.hint ? `<small>${this.escapeHtml(q.hint)}</small>` : ""}
+        </div>
+      `;
+    });
+
+    if (
+      draftNumber === 3 &&
+      project.drafts.some((d) => this.draftHasPhotos(d))
+    ) {
+      html += `
+        <div class="form-group">
+          <div class="choice-group">
+            <label><input type="checkbox" name="share_photos" value="yes"> Upload my product photos with this final submission</label>
+          </div>
+          <small>Photos stay on this device unless you tick this box.</small>
+        </div>
+      `;
+    }
+
+    html += `
+          <div id="autosave-status" class="autosave-status"></div>
+          <button type="submit" class="btn-primary">Submit Draft ${draftNumber}</button>
+        </form>
+      </div>
+    `;
+
+    // Add previous drafts sidebar for draft 3
+    if (draftNumber === 3) {
+      html += this.generatePreviousDraftsSidebar(project);
+    }
+
+    return html;
+  }
+
+  renderQuestionInput(q) {
+    const required = q.required ? "required" : "";
+    const placeholder = q.placeholder
+      ? `placeholder="${this.escapeHtml(q.placeholder)}"`
+      : "";
+
+    switch (q.type) {
+      case "textarea":
+        return `
+          <textarea id="${q.id}" name="${
+          q.id
+        }" ${placeholder} ${required}></textarea>
+          ${this.canRecordVoice() ? this.renderVoiceControls(q) : ""}
+        `;
+
+      case "yesno":
+        return `
+          <div class="choice-group" id="${q.id}">
+            <label><input type="radio" name="${q.id}" value="yes" ${required}> Yes</label>
+            <label><input type="radio" name="${q.id}" value="no" ${required}> No</label>
+          </div>
+        `;
+
+      case "choice":
+        return `
+          <select id="${q.id}" name="${q.id}" ${required}>
+            <option value="">Choose one...</option>
+            ${q.options
+              .map(
+                (o) =>
+                  `<option value="${o.value}">${this.escapeHtml(
+                    o.label
+                  )}</option>`
+              )
+              .join("")}
+          </select>
+        `;
+
+      // The picked file is stored straight away; the hidden field only
+      // records that a photo is attached
+      case "photo":
+        return `
+          <input type="file" id="${q.id}-file" data-photo-for="${q.id}" accept="image/*">
+          <input type="hidden" name="${q.id}">
+          <div class="photo-preview" id="${q.id}-preview"></div>
+        `;
+
+      default:
+        return `<input type="${q.type}" id="${q.id}" name="${q.id}" ${placeholder} ${required}>`;
+    }
+  }
+
+  renderVoiceControls(q) {
+    return `
+      <div class="voice-answer" data-voice-for="${q.id}">
+        <button type="button" class="btn-secondary voice-record-btn" onclick="app.toggleVoiceRecording('${q.id}')">🎤 Record answer</button>
+        <input type="hidden" name="${q.id}_voice">
+        <div class="voice-preview" id="${q.id}-voice-preview"></div>
+      </div>
+    `;
+  }
+
+  // Question Bank Helpers
+  isQuestionShown(question, answers) {
+    const rule = question.showIf;
+    if (!rule) return true;
+
+    const value = answers[rule.question];
+    return rule.in ? rule.in.includes(value) : value === rule.equals;
+  }
+
+  // Hidden follow-ups are disabled so they are neither required nor
+  // submitted with the draft
+  updateConditionalQuestions(form, draftNumber) {
+    const answers = this.getDraftFormAnswers(form);
+
+    QUESTION_BANK[draftNumber].questions.forEach((q) => {
+      if (!q.showIf) return;
+      const group = form.querySelector(`[data-question="${q.id}"]`);
+      if (!group) return;
+
+      const shown = this.isQuestionShown(q, answers);
+      group.style.display = shown ? "" : "none";
+      group
+        .querySelectorAll("input, textarea, select")
+        .forEach((field) => (field.disabled = !shown));
+    });
+  }
+
+  // Questions whose answers the grader should see for this draft
+  getGradedQuestions(draftNumber, answers, drafts = []) {
+    return this.getDraftQuestions(draftNumber, drafts).filter(
+      (q) => !q.analyticsOnly && this.isQuestionShown(q, answers)
+    );
+  }
+
+  // Standard questions followed by the ones tailored to this idea
+  getDraftQuestions(draftNumber, drafts) {
+    return [
+      ...QUESTION_BANK[draftNumber].questions,
+      ...this.getFollowUpQuestions(draftNumber, drafts),
+    ];
+  }
+
+  // Follow-up Questions
+  // Grading draft N also returns questions for draft N+1 about this
+  // particular idea. They are cached on the graded draft so the next form
+  // can be built offline, and pinned to draft N+1 when it is saved so its
+  // answers keep their questions even if draft N is graded again.
+  // Grades from before the minimum was enforced may bring fewer questions;
+  // the bank's general follow-ups make up the difference
+  buildFollowUpQuestions(draftNumber, labels) {
+    const bank = QUESTION_BANK[draftNumber];
+    if (!bank) return [];
+
+    const padded = [...labels];
+    (bank.followUpFallbacks || []).forEach((label) => {
+      if (
+        padded.length < GradingContract.NEXT_DRAFT_QUESTIONS_MIN &&
+        !padded.includes(label)
+      ) {
+        padded.push(label);
+      }
+    });
+
+    return padded.map((label, i) => ({
+      id: `followup_${draftNumber}_${i + 1}`,
+      label,
+      type: "textarea",
+      required: false,
+      followUp: true,
+    }));
+  }
+
+  getFollowUpQuestions(draftNumber, drafts) {
+    const own = drafts.find((d) => d.draftNumber === draftNumber);
+    if (own && own.followUpQuestions) return own.followUpQuestions;
+
+    const previous = this.getPreviousDraft(drafts, draftNumber);
+    if (!previous) return [];
+    if (previous.nextDraftQuestions) return previous.nextDraftQuestions;
+
+    // Drafts graded before follow-ups were cached still have the grade
+    return previous.aiGrade
+      ? this.buildFollowUpQuestions(
+          draftNumber,
+          previous.aiGrade.nextDraftQuestions
+        )
+      : [];
+  }
+
+  // Previous Drafts Reader
+  // A collapsible panel under the draft 3 form (a bottom sheet on phones)
+  // showing one earlier draft in full, with buttons to copy its answers
+  // into the field the user was last typing in.
+  generatePreviousDraftsSidebar(project) {
+    const drafts = project.drafts
+      .filter((d) => d.draftNumber < 3)
+      .sort((a, b) => a.draftNumber - b.draftNumber);
+    if (drafts.length === 0) return "";
+
+    return `
+      <div class="previous-drafts-sidebar" id="previous-drafts">
+        <button type="button" class="btn-secondary previous-drafts-toggle" onclick="app.togglePreviousDrafts()">📖 Read previous drafts</button>
+        <div class="previous-drafts-body">
+          <div class="previous-drafts-header">
+            <div class="previous-drafts-tabs">
+              ${drafts
+                .map(
+                  (d) =>
+                    `<button type="button" class="lang-btn" data-draft="${
+                      d.draftNumber
+                    }" onclick="app.showPreviousDraft(${
+                      d.draftNumber
+                    })">Draft ${d.draftNumber} (${d.aiScore || "N/A"})</button>`
+                )
+                .join("")}
+            </div>
+            <button type="button" class="previous-drafts-close" onclick="app.togglePreviousDrafts()" aria-label="Close">✕</button>
+          </div>
+          <div id="previous-draft-content"></div>
+        </div>
+      </div>
+    `;
+  }
+
+  togglePreviousDrafts() {
+    const panel = document.getElementById("previous-drafts");
+    if (!panel) return;
+
+    panel.classList.toggle("open");
+    if (
+      panel.classList.contains("open") &&
+      !document.getElementById("previous-draft-content").innerHTML
+    ) {
+      const tabs = panel.querySelectorAll("[data-draft]");
+      this.showPreviousDraft(Number(tabs[tabs.length - 1].dataset.draft));
+    }
+  }
+
+  showPreviousDraft(draftNumber) {
+    const content = document.getElementById("previous-draft-content");
+    const project = this.getProjects().find(
+      (p) => p.id === this.currentProject
+    );
+    const draft =
+      project && project.drafts.find((d) => d.draftNumber === draftNumber);
+    if (!content || !draft) return;
+
+    document
+      .querySelectorAll("#previous-drafts [data-draft]")
+      .forEach((tab) =>
+        tab.classList.toggle(
+          "active",
+          Number(tab.dataset.draft) === draftNumber
+        )
+      );
+
+    const answers = this.getCompareRows([draft])
+      .map((row) => {
+        const copyable =
+          draft.answers[row.id] &&
+          (!row.question || ["text", "textarea"].includes(row.question.type));
+        return `
+          <div class="previous-answer">
+            <div class="previous-answer-label">${this.escapeHtml(
+              row.label
+            )}</div>
+            <div class="previous-answer-text">${this.formatCompareAnswer(
+              draft,
+              row
+            )}</div>
+            ${
+              copyable
+                ? `<button type="button" class="btn-secondary copy-answer-btn" onclick="app.copyPreviousAnswer(${draftNumber}, '${row.id}')">⤵ Use in my answer</button>`
+                : ""
+            }
+          </div>
+        `;
+      })
+      .join("");
+
+    content.innerHTML = `
+      <div class="previous-draft">
+        <h5>Draft ${draftNumber} (Score: ${draft.aiScore || "N/A"})</h5>
+        ${answers}
+        ${
+          draft.aiFeedback
+            ? `<div class="ai-feedback">${this.renderFeedback(
+                draft.aiFeedback
+              )}</div>`
+            : '<div class="no-feedback">No feedback yet</div>'
+        }
+      </div>
+    `;
+  }
+
+  // Inserts at the cursor of the last answer field the user was in, or
+  // falls back to the clipboard when there is none
+  async copyPreviousAnswer(draftNumber, questionId) {
+    const project = this.getProjects().find(
+      (p) => p.id === this.currentProject
+    );
+    const draft = project.drafts.find((d) => d.draftNumber === draftNumber);
+    const text = draft.answers[questionId];
+    const field = this.lastAnswerField;
+
+    if (field && field.isConnected && !field.disabled) {
+      field.setRangeText(text, field.selectionStart, field.selectionEnd, "end");
+      field.dispatchEvent(new Event("input", { bubbles: true }));
+      this.showMessage("Copied into your answer", "success");
+      return;
+    }
+
+    try {
+      await navigator.clipboard.writeText(text);
+      this.showMessage("Copied. Tap an answer box and paste it there.", "info");
+    } catch (error) {
+      this.showMessage("Tap an answer box first, then try again.", "info");
+    }
+  }
+
+  async submitDraft(event, draftNumber) {
+    event.preventDefault();
+
+    const form = event.target;
+    const answers = this.getDraftFormAnswers(form);
+
+    // Warn once about spam or personal details; submitting the same answers
+    // again goes ahead
+    const fingerprint = JSON.stringify(answers);
+    if (form.dataset.screened !== fingerprint) {
+      const issues = this.screenDraftAnswers(draftNumber, answers);
+      this.showScreeningIssues(form, draftNumber, issues);
+      if (issues.length > 0) {
+        form.dataset.screened = fingerprint;
+        return;
+      }
+    }
+
+    try {
+      // Save draft locally; the autosaved copy is no longer needed
+      await this.saveDraft(this.currentProject, draftNumber, answers);
+      if (this.activeDraft) await this.clearAutosave(this.activeDraft);
+
+      // Show loading
+      const submitBtn = form.querySelector('button[type="submit"]');
+      const originalText = submitBtn.textContent;
+      submitBtn.textContent = "Grading...";
+      submitBtn.disabled = true;
+
+      // Get AI feedback. The draft is already saved, so if grading fails
+      // it waits in the grading queue instead.
+      let feedback;
+      try {
+        feedback = await this.gradeDraft(this.currentProject, draftNumber);
+      } catch (error) {
+        console.error("Error grading draft:", error);
+        const project = this.getProjects().find(
+          (p) => p.id === this.currentProject
+        );
+        const draft = project.drafts.find((d) => d.draftNumber === draftNumber);
+        await this.recordGradingFailure(project, draft, error);
+        this.scheduleGradingRetry();
+        this.requestNotificationPermission();
+        this.showSubmissionForm();
+        this.showAwaitingGradeNotice(draft);
+        return;
+      }
+
+      // Show feedback
+      this.showDraftFeedback(feedback, draftNumber);
+
+      // Reset form
+      submitBtn.textContent = originalText;
+      submitBtn.disabled = false;
+
+      // If draft 1, show interview instructions
+      if (draftNumber === 1) {
+        this.showInterviewInstructions();
+      }
+    } catch (error) {
+      console.error("Error submitting draft:", error);
+      this.showMessage("Error submitting draft. Please try again.", "error");
+    }
+  }
+
+  // Answer Screening
+  screenDraftAnswers(draftNumber, answers) {
+    const project = this.getProjects().find(
+      (p) => p.id === this.currentProject
+    );
+
+    return Screening.screenAnswers(
+      this.getDraftQuestions(draftNumber, project.drafts)
+        .filter((q) => this.isQuestionShown(q, answers))
+        .map((q) => ({
+          id: q.id,
+          label: q.label,
+          type: q.type,
+          answer: answers[q.id] || "",
+        }))
+    );
+  }
+
+  // Warnings go under the questions they are about, with a summary by the
+  // submit button, which becomes "Submit anyway"
+  showScreeningIssues(form, draftNumber, issues) {
+    form
+      .querySelectorAll(".screening-warning, .screening-summary")
+      .forEach((el) => el.remove());
+
+    const submitBtn = form.querySelector('button[type="submit"]');
+    submitBtn.textContent =
+      issues.length > 0 ? "Submit anyway" : `Submit Draft ${draftNumber}`;
+    if (issues.length === 0) return;
+
+    issues.forEach((issue) => {
+      const group = form.querySelector(`[data-question="${issue.questionId}"]`);
+      const warning = document.createElement("div");
+      warning.className = `screening-warning ${issue.kind}`;
+      warning.textContent = `⚠️ ${issue.message}`;
+      group.appendChild(warning);
+    });
+
+    const summary = document.createElement("div");
+    summary.className = "screening-summary";
+    summary.textContent = `Please check ${
+      issues.length === 1 ? "1 answer" : `${issues.length} answers`
+    } above. You can edit them, or submit anyway.`;
+    submitBtn.before(summary);
+
+    form
+      .querySelector(`[data-question="${issues[0].questionId}"]`)
+      .scrollIntoView({ behavior: "smooth", block: "center" });
+  }
+
+  showDraftFeedback(feedback, draftNumber) {
+    const project = this.getProjects().find(
+      (p) => p.id === this.currentProject
+    );
+    const draft =
+      project && project.drafts.find((d) => d.draftNumber === draftNumber);
+    const modal = document.createElement("div");
+    modal.className = "feedback-modal-overlay";
+    modal.innerHTML = `
+      <div class="feedback-modal">
+        <h3>Draft ${draftNumber} Feedback</h3>
+        <div class="score-display">Score: ${feedback.score}/100</div>
+        <div class="feedback-content">${this.renderFeedback(
+          feedback.feedback
+        )}</div>
+        ${this.renderActionItemReview(
+          feedback.actionItemReview,
+          `Your Draft ${draftNumber - 1} feedback`
+        )}
+        ${
+          draftNumber === 3 && draft
+            ? this.renderSubmissionReceipt(project, draft)
+            : ""
+        }
+        ${
+          draftNumber === 3 && feedback.score > MENTOR_SCORE_THRESHOLD
+            ? `<p>🌟 You scored over ${MENTOR_SCORE_THRESHOLD} on your final draft! You can ask to be connected with a mentor.</p>
+              <button class="btn-secondary" onclick="this.parentElement.parentElement.remove(); app.showMentorStep('${this.currentProject}');">🤝 Connect me with a mentor</button>`
+            : ""
+        }
+        <button onclick="this.parentElement.parentElement.remove(); app.loadSubmitScreen();">Continue</button>
+      </div>
+    `;
+    document.body.appendChild(modal);
+  }
+
+  showAwaitingGradeNotice(draft) {
+    const { draftNumber, offlineEstimate } = draft;
+    const modal = document.createElement("div");
+    modal.className = "feedback-modal-overlay";
+    modal.innerHTML = `
+      <div class="feedback-modal">
+        <h3>✅ Draft ${draftNumber} saved</h3>
+        <p>Your draft counts! We couldn't grade it right now, so it is waiting on this device and will be graded automatically as soon as you're back online.</p>
+        ${offlineEstimate ? this.renderOfflineEstimate(offlineEstimate) : ""}
+        ${
+          draftNumber === 1
+            ? "<p>While you wait, you can start your customer interviews.</p>"
+            : ""
+        }
+        <button onclick="this.parentElement.parentElement.remove();${
+          draftNumber === 1 ? " app.showInterviewInstructions();" : ""
+        }">Got it!</button>
+      </div>
+    `;
+    document.body.appendChild(modal);
+  }
+
+  renderOfflineEstimate(estimate) {
+    return `
+      <div class="offline-estimate">
+        <div class="offline-estimate-label">📴 Offline estimate: ${
+          estimate.score
+        }/100</div>
+        <div class="feedback-content">${this.renderFeedback(
+          estimate.feedback
+        )}</div>
+        ${this.renderActionItemReview(
+          estimate.actionItemReview,
+          "Your last feedback"
+        )}
+      </div>
+    `;
+  }
+
+  renderAwaitingGrade(draft) {
+    const nextTry =
+      draft.nextGradeAttemptAt && navigator.onLine
+        ? ` Next try: ${new Date(
+            draft.nextGradeAttemptAt
+          ).toLocaleTimeString()}.`
+        : "";
+
+    return `
+      <div class="awaiting-grade">
+        <h3>⏳ Draft ${draft.draftNumber} is waiting for its grade</h3>
+        <p>Your answers are saved on this device and will be graded automatically when you're online.${nextTry}</p>
+        ${
+          draft.lastGradingError
+            ? `<p class="awaiting-grade-error">Last try: ${this.escapeHtml(
+                draft.lastGradingError
+              )}</p>`
+            : ""
+        }
+        ${
+          draft.offlineEstimate
+            ? this.renderOfflineEstimate(draft.offlineEstimate)
+            : ""
+        }
+        <div class="awaiting-grade-actions">
+          ${
+            draft.draftNumber === 1
+              ? '<button type="button" class="btn-secondary" onclick="app.showInterviewInstructions()">📋 Start your customer interviews</button>'
+              : ""
+          }
+          <button type="button" class="btn-primary" onclick="app.retryGradingNow()">Try again now</button>
+        </div>
+      </div>
+    `;
+  }
+
+  showInterviewInstructions() {
+    const modal = document.createElement("div");
+    modal.className = "interview-modal-overlay";
+    modal.innerHTML = `
+      <div class="interview-modal">
+        <h3>📋 Next Step: Customer Interviews!</h3>
+        <p>Before Draft 2, you need to validate your idea with real customers:</p>
+        <ul>
+          <li>Interview at least 3-5 potential customers</li>
+          <li>Ask about their current problems and solutions</li>
+          <li>Show them your idea and get honest feedback</li>
+          <li>Take detailed notes on their responses</li>
+        </ul>
+        <p><strong>Remember:</strong> The goal is to learn, not to sell!</p>
+        <button onclick="this.parentElement.parentElement.remove();">Got it!</button>
+      </div>
+    `;
+    document.body.appendChild(modal);
+  }
+
+  // User Creation Modal
+  showCreateUserModal() {
+    const modal = document.createElement("div");
+    modal.className = "modal-overlay";
+    modal.innerHTML = `
+      <div class="modal">
+        <h3>Create New User</h3>
+        <form onsubmit="app.handleCreateUser(event)">
+          <div class="form-group">
+            <label for="new-username">Username *</label>
+            <input type="text" id="new-username" required>
+          </div>
+          <div class="form-group">
+            <label for="new-pin">PIN (4+ digits) *</label>
+            <input type="password" id="new-pin" minlength="4" required>
+          </div>
+          <div class="form-group">
+            <label for="new-safety-code">Safety Code (for PIN recovery) *</label>
+            <input type="text" id="new-safety-code" required>
+            <small>Remember this - you'll need it to reset your PIN</small>
+          </div>
+          <div class="modal-buttons">
+            <button type="button" onclick="this.closest('.modal-overlay').remove()">Cancel</button>
+            <button type="submit" class="btn-primary">Create User</button>
+          </div>
+        </form>
+      </div>
+    `;
+    document.body.appendChild(modal);
+  }
+
+  async handleCreateUser(event) {
+    event.preventDefault();
+
+    const name = document.getElementById("new-username").value.trim();
+    const pin = document.getElementById("new-pin").value;
+    const safetyCode = document.getElementById("new-safety-code").value.trim();
+
+    try {
+      const user = await this.createUser(name, pin, safetyCode);
+      this.switchUser(user.id);
+
+      // Close modal
+      document.querySelector(".modal-overlay").remove();
+      this.showMessage("User created successfully!", "success");
+    } catch (error) {
+      this.showMessage(error.message, "error");
+    }
+  }
+
+  // Show a live countdown in the open modal while the user is locked out
+  showLockoutNotice(userId) {
+    const user = this.getUsers().find((u) => u.id === userId);
+    const form = document.querySelector(".modal-overlay form");
+    if (!user || !form) return;
+
+    clearInterval(this.lockoutTimer);
+
+    let notice = form.querySelector(".lockout-notice");
+    const submitBtn = form.querySelector('button[type="submit"]');
+
+    const update = () => {
+      const remaining = this.getLockoutRemaining(user);
+      if (remaining <= 0 || !form.isConnected) {
+        clearInterval(this.lockoutTimer);
+        if (notice) notice.remove();
+        submitBtn.disabled = false;
+        return;
+      }
+
+      if (!notice) {
+        notice = document.createElement("div");
+        notice.className = "lockout-notice";
+        form.prepend(notice);
+      }
+      notice.textContent = `🔒 Too many wrong attempts. Try again in ${this.formatCountdown(
+        remaining
+      )}`;
+      submitBtn.disabled = true;
+    };
+
+    update();
+    this.lockoutTimer = setInterval(update, 1000);
+  }
+
+  // Tell the real user about wrong guesses made since their last sign-in
+  showFailedAttemptsReport(userId) {
+    const user = this.getUsers().find((u) => u.id === userId);
+    if (!user || !user.failedAttempts || user.failedAttempts.length === 0) {
+      return;
+    }
+
+    const attempts = user.failedAttempts;
+    user.failedAttempts = [];
+    this.saveUser(user);
+
+    const labels = {
+      pin: "Wrong PIN",
+      safetyCode: "Wrong safety code",
+    };
+
+    const modal = document.createElement("div");
+    modal.className = "modal-overlay";
+    modal.innerHTML = `
+      <div class="modal">
+        <h3>⚠️ ${attempts.length} failed attempt${
+      attempts.length === 1 ? "" : "s"
+    } since your last sign-in</h3>
+        <p>Someone entered the wrong PIN or safety code for your account. If this wasn't you, consider changing your PIN.</p>
+        <ul class="failed-attempts-list">
+          ${attempts
+            .map(
+              (a) =>
+                `<li>${labels[a.kind]} (${this.escapeHtml(
+                  a.action
+                )}) – ${new Date(a.at).toLocaleString()}</li>`
+            )
+            .join("")}
+        </ul>
+        <div class="modal-buttons">
+          <button type="button" class="btn-primary" onclick="this.closest('.modal-overlay').remove()">OK</button>
+        </div>
+      </div>
     `;
+    document.body.appendChild(modal);
+  }
 
-    questions.forEach((q) => {
-      html += `
-        <div class="form-group">
-          <label for="${q.id}">${q.label} ${q.required ? "*" : ""}</label>
+  // Sign-in Modal
+  showSignInModal(userId) {
+    const user = this.getUsers().find((u) => u.id === userId);
+    if (!user) return;
+
+    // Users from before draft encryption confirm their safety code once
+    const needsSafetyCode = !user.keys;
+
+    const modal = document.createElement("div");
+    modal.className = "modal-overlay";
+    modal.innerHTML = `
+      <div class="modal">
+        <h3>Sign in as ${this.escapeHtml(user.name)}</h3>
+        <form onsubmit="app.handleSignIn(event, '${userId}')">
+          <div class="form-group">
+            <label for="unlock-pin">PIN *</label>
+            <input type="password" id="unlock-pin" required>
+          </div>
           ${
-            q.type === "textarea"
-              ? `<textarea id="${q.id}" name="${q.id}" ${
-                  q.required ? "required" : ""
-                }></textarea>`
-              : `<input type="${q.type}" id="${q.id}" name="${q.id}" ${
-                  q.required ? "required" : ""
-                }>`
+            needsSafetyCode
+              ? `<div class="form-group">
+            <label for="unlock-safety-code">Safety Code *</label>
+            <input type="text" id="unlock-safety-code" required>
+            <small>One-time step to protect your drafts with your PIN</small>
+          </div>`
+              : ""
           }
-        </div>
-      `;
-    });
+          <div class="modal-buttons">
+            <button type="button" onclick="this.closest('.modal-overlay').remove()">Cancel</button>
+            <button type="submit" class="btn-primary">Sign In</button>
+          </div>
+        </form>
+      </div>
+    `;
+    document.body.appendChild(modal);
+    this.showLockoutNotice(userId);
+  }
 
-    html += `
-          <button type="submit" class="btn-primary">Submit Draft ${draftNumber}</button>
+  async handleSignIn(event, userId) {
+    event.preventDefault();
+
+    const pin = document.getElementById("unlock-pin").value;
+    const safetyInput = document.getElementById("unlock-safety-code");
+    const safetyCode = safetyInput ? safetyInput.value.trim() : null;
+
+    try {
+      await this.unlockUser(userId, pin, safetyCode);
+      document.querySelector(".modal-overlay").remove();
+      this.switchUser(userId);
+      this.loadScreenData(this.currentScreen);
+      this.showFailedAttemptsReport(userId);
+    } catch (error) {
+      this.showMessage(error.message, "error");
+      this.showLockoutNotice(userId);
+    }
+  }
+
+  // Project Creation Modal
+  showCreateProjectModal() {
+    if (!this.currentUser) {
+      this.showMessage("Please select a user first", "error");
+      return;
+    }
+
+    const modal = document.createElement("div");
+    modal.className = "modal-overlay";
+    modal.innerHTML = `
+      <div class="modal">
+        <h3>Create New Project</h3>
+        <form onsubmit="app.handleCreateProject(event)">
+          <div class="form-group">
+            <label for="new-project-name">Project Name *</label>
+            <input type="text" id="new-project-name" required>
+          </div>
+          <div class="modal-buttons">
+            <button type="button" onclick="this.closest('.modal-overlay').remove()">Cancel</button>
+            <button type="submit" class="btn-primary">Create Project</button>
+          </div>
         </form>
       </div>
     `;
+    document.body.appendChild(modal);
+  }
 
-    // Add previous drafts sidebar for draft 3
-    if (draftNumber === 3) {
-      html += this.generatePreviousDraftsSidebar(project);
+  async handleCreateProject(event) {
+    event.preventDefault();
+
+    const name = document.getElementById("new-project-name").value.trim();
+
+    try {
+      const project = await this.createProject(this.currentUser, name);
+      this.currentProject = project.id;
+      this.populateProjectDropdown();
+      this.showSubmissionForm();
+
+      // Close modal
+      document.querySelector(".modal-overlay").remove();
+      this.showMessage("Project created successfully!", "success");
+    } catch (error) {
+      this.showMessage(error.message, "error");
     }
+  }
 
-    return html;
+  // Screen: Settings
+  loadSettingsScreen() {
+    this.loadTranslationSection();
+    this.loadSecuritySettings();
+    this.loadUsersManagement();
+    this.loadTrash();
   }
 
-  generatePreviousDraftsSidebar(project) {
-    let html = '<div class="previous-drafts-sidebar"><h4>Previous Drafts</h4>';
+  loadSecuritySettings() {
+    const container = document.getElementById("security-settings");
+    if (!container) return;
 
-    project.drafts.forEach((draft) => {
-      if (draft.draftNumber < 3) {
-        html += `
-          <div class="previous-draft">
-            <h5>Draft ${draft.draftNumber} (Score: ${
-          draft.aiScore || "N/A"
-        })</h5>
-            <div class="draft-summary">
-              ${Object.entries(draft.answers)
-                .slice(0, 2)
-                .map(
-                  ([key, value]) =>
-                    `<p><strong>${key}:</strong> ${this.truncate(
-                      value,
-                      100
-                    )}</p>`
-                )
-                .join("")}
-            </div>
-          </div>
-        `;
-      }
+    let html = '<div class="auto-lock-options">';
+    AUTO_LOCK_OPTIONS.forEach((minutes) => {
+      const label = minutes ? `${minutes} min` : "Never";
+      const active = minutes === this.autoLockMinutes ? " active" : "";
+      html += `<button class="lang-btn${active}" onclick="app.setAutoLockMinutes(${minutes})">${label}</button>`;
     });
-
     html += "</div>";
-    return html;
+
+    container.innerHTML = html;
   }
 
-  async submitDraft(event, draftNumber) {
-    event.preventDefault();
+  loadTranslationSection() {
+    const container = document.getElementById("translation-section");
+    if (!container) return;
 
-    const formData = new FormData(event.target);
-    const answers = {};
+    let html = `
+      <div class="current-language">
+        Current Language: <strong>${
+          this.currentLanguage === "en" ? "English" : this.currentLanguage
+        }</strong>
+      </div>
+      <div class="quick-languages">
+    `;
 
-    for (let [key, value] of formData.entries()) {
-      answers[key] = value.trim();
-    }
+    APP_LANGUAGES.forEach((lang) => {
+      html += `<button class="lang-btn" onclick="app.translateApp('${lang.code}')">${lang.name}</button>`;
+    });
 
-    try {
-      // Save draft locally
-      this.saveDraft(this.currentProject, draftNumber, answers);
+    html += `
+      </div>
+      <div class="custom-language">
+        <input type="text" id="custom-lang" placeholder="Enter language name">
+        <button onclick="app.translateCustom()">Translate</button>
+      </div>
+      <button onclick="app.translateApp('en')" class="reset-lang">Reset to English</button>
+    `;
 
-      // Show loading
-      const submitBtn = event.target.querySelector('button[type="submit"]');
-      const originalText = submitBtn.textContent;
-      submitBtn.textContent = "Grading...";
-      submitBtn.disabled = true;
+    container.innerHTML = html;
+  }
 
-      // Get AI feedback
-      const feedback = await this.gradeDraft(this.currentProject, draftNumber);
+  async translateApp(languageCode) {
+    if (languageCode === "en") {
+      // Reset to English
+      this.currentLanguage = "en";
+      this.translations = {};
+      this.saveSettings();
+      this.showMessage("Reset to English", "success");
+      return;
+    }
 
-      // Show feedback
-      this.showDraftFeedback(feedback, draftNumber);
+    try {
+      // Stub for Google Translate API
+      // In production, this would call Netlify function with process.env.GOOGLE_TRANSLATE_KEY
 
-      // Reset form
-      submitBtn.textContent = originalText;
-      submitBtn.disabled = false;
+      this.showMessage("Translation feature coming soon!", "info");
 
-      // If draft 1, show interview instructions
-      if (draftNumber === 1) {
-        this.showInterviewInstructions();
-      }
+      // For MVP, just save the language preference
+      this.currentLanguage = languageCode;
+      this.saveSettings();
+      this.loadTranslationSection();
     } catch (error) {
-      console.error("Error submitting draft:", error);
-      this.showMessage("Error submitting draft. Please try again.", "error");
+      console.error("Translation error:", error);
+      this.showMessage("Translation failed", "error");
     }
   }
 
-  showDraftFeedback(feedback, draftNumber) {
-    const modal = document.createElement("div");
-    modal.className = "feedback-modal-overlay";
-    modal.innerHTML = `
-      <div class="feedback-modal">
-        <h3>Draft ${draftNumber} Feedback</h3>
-        <div class="score-display">Score: ${feedback.score}/100</div>
-        <div class="feedback-content">${this.formatFeedback(
-          feedback.feedback
-        )}</div>
-        <button onclick="this.parentElement.parentElement.remove(); app.loadSubmitScreen();">Continue</button>
-      </div>
-    `;
-    document.body.appendChild(modal);
+  async translateCustom() {
+    const customLang = document.getElementById("custom-lang").value.trim();
+    if (!customLang) return;
+
+    // For MVP, just show coming soon message
+    this.showMessage(
+      `Custom translation to ${customLang} coming soon!`,
+      "info"
+    );
   }
 
-  showInterviewInstructions() {
-    const modal = document.createElement("div");
-    modal.className = "interview-modal-overlay";
-    modal.innerHTML = `
-      <div class="interview-modal">
-        <h3>📋 Next Step: Customer Interviews!</h3>
-        <p>Before Draft 2, you need to validate your idea with real customers:</p>
-        <ul>
-          <li>Interview at least 3-5 potential customers</li>
-          <li>Ask about their current problems and solutions</li>
-          <li>Show them your idea and get honest feedback</li>
-          <li>Take detailed notes on their responses</li>
-        </ul>
-        <p><strong>Remember:</strong> The goal is to learn, not to sell!</p>
-        <button onclick="this.parentElement.parentElement.remove();">Got it!</button>
-      </div>
-    `;
-    document.body.appendChild(modal);
+  loadUsersManagement() {
+    const container = document.getElementById("users-management");
+    if (!container) return;
+
+    const users = this.getUsers().filter((u) => !u.deleted);
+
+    if (users.length === 0) {
+      container.innerHTML = '<div class="empty">No users created yet.</div>';
+      return;
+    }
+
+    let html = '<div class="users-list">';
+    users.forEach((user) => {
+      html += `
+        <div class="user-item">
+          <div class="user-info">
+            <div class="user-name">${this.escapeHtml(user.name)}</div>
+            <div class="user-date">Created: ${new Date(
+              user.createdAt
+            ).toLocaleDateString()}</div>
+          </div>
+          <div class="user-actions">
+            <button onclick="app.showExportUserModal('${
+              user.id
+            }')" class="btn-secondary">Export</button>
+            <button onclick="app.showTransferUserModal('${
+              user.id
+            }')" class="btn-secondary">Transfer</button>
+            <button onclick="app.showChangePinModal('${
+              user.id
+            }')" class="btn-secondary">Change PIN</button>
+            <button onclick="app.showDeleteUserModal('${
+              user.id
+            }')" class="btn-danger">Delete</button>
+          </div>
+        </div>
+      `;
+    });
+    html += "</div>";
+
+    container.innerHTML = html;
   }
 
-  // User Creation Modal
-  showCreateUserModal() {
+  showExportUserModal(userId) {
+    const user = this.getUsers().find((u) => u.id === userId);
+    if (!user) return;
+
     const modal = document.createElement("div");
     modal.className = "modal-overlay";
     modal.innerHTML = `
       <div class="modal">
-        <h3>Create New User</h3>
-        <form onsubmit="app.handleCreateUser(event)">
-          <div class="form-group">
-            <label for="new-username">Username *</label>
-            <input type="text" id="new-username" required>
-          </div>
-          <div class="form-group">
-            <label for="new-pin">PIN (4+ digits) *</label>
-            <input type="password" id="new-pin" minlength="4" required>
-          </div>
+        <h3>Export ${this.escapeHtml(user.name)}</h3>
+        <p>Saves this user's projects and drafts as one backup file, locked with their PIN. Keep it somewhere safe, like a memory card or another phone.</p>
+        <form onsubmit="app.handleExportUser(event, '${userId}')">
           <div class="form-group">
-            <label for="new-safety-code">Safety Code (for PIN recovery) *</label>
-            <input type="text" id="new-safety-code" required>
-            <small>Remember this - you'll need it to reset your PIN</small>
+            <label for="export-pin">Enter PIN to confirm *</label>
+            <input type="password" id="export-pin" required>
           </div>
           <div class="modal-buttons">
             <button type="button" onclick="this.closest('.modal-overlay').remove()">Cancel</button>
-            <button type="submit" class="btn-primary">Create User</button>
+            <button type="submit" class="btn-primary">Export</button>
           </div>
         </form>
       </div>
     `;
     document.body.appendChild(modal);
+    this.showLockoutNotice(userId);
   }
 
-  handleCreateUser(event) {
+  async handleExportUser(event, userId) {
     event.preventDefault();
 
-    const name = document.getElementById("new-username").value.trim();
-    const pin = document.getElementById("new-pin").value;
-    const safetyCode = document.getElementById("new-safety-code").value.trim();
+    const pin = document.getElementById("export-pin").value;
+    const user = this.getUsers().find((u) => u.id === userId);
 
     try {
-      const user = this.createUser(name, pin, safetyCode);
-      this.currentUser = user.id;
-      this.populateUserDropdown();
-      this.updateSubmitGreeting();
-
-      // Close modal
+      const backup = await this.exportUser(userId, pin);
+      const date = new Date().toISOString().slice(0, 10);
+      this.downloadFile(
+        `capsera-${user.name.replace(/[^a-z0-9]+/gi, "-")}-${date}.json`,
+        JSON.stringify(backup),
+        "application/json"
+      );
       document.querySelector(".modal-overlay").remove();
-      this.showMessage("User created successfully!", "success");
+      this.showMessage("Backup saved", "success");
     } catch (error) {
       this.showMessage(error.message, "error");
+      this.showLockoutNotice(userId);
     }
   }
 
-  // Project Creation Modal
-  showCreateProjectModal() {
-    if (!this.currentUser) {
-      this.showMessage("Please select a user first", "error");
+  async onBackupFileSelected(event) {
+    const file = event.target.files[0];
+    event.target.value = "";
+    if (!file) return;
+
+    try {
+      this.pendingBackup = JSON.parse(await file.text());
+    } catch (error) {
+      this.showMessage("This is not a Capsera backup file", "error");
       return;
     }
 
+    this.showImportUserModal(file.name);
+  }
+
+  showImportUserModal(source) {
     const modal = document.createElement("div");
     modal.className = "modal-overlay";
     modal.innerHTML = `
       <div class="modal">
-        <h3>Create New Project</h3>
-        <form onsubmit="app.handleCreateProject(event)">
+        <h3>Import Backup</h3>
+        <p>${this.escapeHtml(source)}</p>
+        <form onsubmit="app.handleImportUser(event)">
           <div class="form-group">
-            <label for="new-project-name">Project Name *</label>
-            <input type="text" id="new-project-name" required>
+            <label for="import-pin">PIN of the backed-up user *</label>
+            <input type="password" id="import-pin" required>
           </div>
           <div class="modal-buttons">
             <button type="button" onclick="this.closest('.modal-overlay').remove()">Cancel</button>
-            <button type="submit" class="btn-primary">Create Project</button>
+            <button type="submit" class="btn-primary">Import</button>
           </div>
         </form>
       </div>
@@ -1077,136 +4584,366 @@ Keep going! Every successful entrepreneur started with a first draft. 🚀`;
     document.body.appendChild(modal);
   }
 
-  handleCreateProject(event) {
+  async handleImportUser(event) {
     event.preventDefault();
 
-    const name = document.getElementById("new-project-name").value.trim();
+    const pin = document.getElementById("import-pin").value;
 
     try {
-      const project = this.createProject(this.currentUser, name);
-      this.currentProject = project.id;
-      this.populateProjectDropdown();
-      this.showSubmissionForm();
-
-      // Close modal
+      const user = await this.importUser(this.pendingBackup, pin);
+      this.pendingBackup = null;
       document.querySelector(".modal-overlay").remove();
-      this.showMessage("Project created successfully!", "success");
+      this.loadUsersManagement();
+      this.showMessage(`${user.name} imported successfully!`, "success");
     } catch (error) {
       this.showMessage(error.message, "error");
     }
   }
 
-  // Screen: Settings
-  loadSettingsScreen() {
-    this.loadTranslationSection();
-    this.loadUsersManagement();
+  // Device-to-Device Transfer
+  // Frames look like PREFIX|session|index|total|crc32|bundleHash|chunk. Each
+  // chunk carries its own CRC32 and the whole bundle is checked against a
+  // SHA-256 prefix once every frame is in. Received frames are saved as they
+  // arrive so an interrupted scan picks up where it stopped.
+  async buildTransferFrames(bundleText) {
+    const session = this.toHex(crypto.getRandomValues(new Uint8Array(3)));
+    const hash = await this.sha256Hex(bundleText);
+    const total = Math.ceil(bundleText.length / QR_CHUNK_SIZE);
+    const frames = [];
+
+    for (let i = 0; i < total; i++) {
+      const chunk = bundleText.slice(
+        i * QR_CHUNK_SIZE,
+        (i + 1) * QR_CHUNK_SIZE
+      );
+      frames.push(
+        [
+          QR_FRAME_PREFIX,
+          session,
+          i + 1,
+          total,
+          this.crc32(chunk),
+          hash.slice(0, 16),
+          chunk,
+        ].join("|")
+      );
+    }
+
+    return frames;
   }
 
-  loadTranslationSection() {
-    const container = document.getElementById("translation-section");
-    if (!container) return;
+  parseTransferFrame(text) {
+    const parts = text.split("|");
+    if (parts[0] !== QR_FRAME_PREFIX || parts.length < 7) return null;
 
-    const languages = [
-      { code: "hi", name: "Hindi" },
-      { code: "bn", name: "Bengali" },
-      { code: "te", name: "Telugu" },
-      { code: "mr", name: "Marathi" },
-      { code: "ta", name: "Tamil" },
-      { code: "gu", name: "Gujarati" },
-      { code: "ur", name: "Urdu" },
-      { code: "ml", name: "Malayalam" },
-    ];
+    const [, session, index, total, crc, hash] = parts;
+    const chunk = parts.slice(6).join("|");
+    if (this.crc32(chunk) !== crc) return null;
 
-    let html = `
-      <div class="current-language">
-        Current Language: <strong>${
-          this.currentLanguage === "en" ? "English" : this.currentLanguage
-        }</strong>
+    return {
+      session,
+      index: Number(index),
+      total: Number(total),
+      hash,
+      chunk,
+    };
+  }
+
+  showTransferUserModal(userId) {
+    const user = this.getUsers().find((u) => u.id === userId);
+    if (!user) return;
+
+    const modal = document.createElement("div");
+    modal.className = "modal-overlay";
+    modal.innerHTML = `
+      <div class="modal">
+        <h3>Transfer ${this.escapeHtml(user.name)} to Another Device</h3>
+        <p>The other device scans a series of QR codes. No internet is needed, and the data stays locked with this PIN.</p>
+        <p>Photos and voice recordings are too large to send this way. Use Export to move them in a backup file.</p>
+        <form onsubmit="app.handleStartTransfer(event, '${userId}')">
+          <div class="form-group">
+            <label for="transfer-pin">Enter PIN to confirm *</label>
+            <input type="password" id="transfer-pin" required>
+          </div>
+          <div class="modal-buttons">
+            <button type="button" onclick="this.closest('.modal-overlay').remove()">Cancel</button>
+            <button type="submit" class="btn-primary">Start</button>
+          </div>
+        </form>
       </div>
-      <div class="quick-languages">
     `;
+    document.body.appendChild(modal);
+    this.showLockoutNotice(userId);
+  }
 
-    languages.forEach((lang) => {
-      html += `<button class="lang-btn" onclick="app.translateApp('${lang.code}')">${lang.name}</button>`;
-    });
+  async handleStartTransfer(event, userId) {
+    event.preventDefault();
 
-    html += `
-      </div>
-      <div class="custom-language">
-        <input type="text" id="custom-lang" placeholder="Enter language name">
-        <button onclick="app.translateCustom()">Translate</button>
+    const pin = document.getElementById("transfer-pin").value;
+
+    try {
+      const [backup] = await Promise.all([
+        this.exportUser(userId, pin, { includeMedia: false }),
+        this.loadScript(QR_LIBRARY_URL),
+      ]);
+      const frames = await this.buildTransferFrames(JSON.stringify(backup));
+      document.querySelector(".modal-overlay").remove();
+      this.showTransferSender(frames);
+    } catch (error) {
+      this.showMessage(error.message, "error");
+      this.showLockoutNotice(userId);
+    }
+  }
+
+  showTransferSender(frames) {
+    const modal = document.createElement("div");
+    modal.className = "modal-overlay";
+    modal.innerHTML = `
+      <div class="modal transfer-modal">
+        <h3>📤 Sending</h3>
+        <p>On the other phone open Settings → Receive from Another Device and point the camera here. Keep this screen open until it says done.</p>
+        <img class="transfer-qr" alt="Transfer QR code">
+        <div class="transfer-progress"></div>
+        <div class="form-group">
+          <label for="transfer-only">Missed frames? Send only these (e.g. 3, 7, 12)</label>
+          <input type="text" id="transfer-only" inputmode="numeric">
+        </div>
+        <div class="modal-buttons">
+          <button type="button" class="btn-primary" onclick="this.closest('.modal-overlay').remove()">Done</button>
+        </div>
       </div>
-      <button onclick="app.translateApp('en')" class="reset-lang">Reset to English</button>
     `;
+    document.body.appendChild(modal);
 
-    container.innerHTML = html;
+    const img = modal.querySelector(".transfer-qr");
+    const progress = modal.querySelector(".transfer-progress");
+    const onlyInput = modal.querySelector("#transfer-only");
+    let position = 0;
+
+    const showNext = () => {
+      if (!img.isConnected) {
+        clearInterval(timer);
+        return;
+      }
+
+      const only = onlyInput.value
+        .split(/[^0-9]+/)
+        .map(Number)
+        .filter((n) => n >= 1 && n <= frames.length);
+      const queue = only.length ? only : frames.map((_, i) => i + 1);
+      const frameNumber = queue[position % queue.length];
+      position++;
+
+      const qr = qrcode(0, "L");
+      qr.addData(frames[frameNumber - 1]);
+      qr.make();
+      img.src = qr.createDataURL(4, 4);
+      progress.textContent = `Frame ${frameNumber} of ${frames.length}`;
+    };
+
+    showNext();
+    const timer = setInterval(showNext, QR_FRAME_INTERVAL_MS);
   }
 
-  async translateApp(languageCode) {
-    if (languageCode === "en") {
-      // Reset to English
-      this.currentLanguage = "en";
-      this.translations = {};
-      this.saveSettings();
-      this.showMessage("Reset to English", "success");
+  async showTransferReceiver() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+      this.showMessage("This device has no camera access", "error");
       return;
     }
 
+    const modal = document.createElement("div");
+    modal.className = "modal-overlay";
+    modal.innerHTML = `
+      <div class="modal transfer-modal">
+        <h3>📥 Receiving</h3>
+        <p>Point the camera at the QR codes on the other phone.</p>
+        <video class="transfer-video" playsinline muted></video>
+        <div class="transfer-progress">Starting camera...</div>
+        <div class="transfer-missing"></div>
+        <div class="modal-buttons">
+          <button type="button" onclick="app.resetTransfer()">Start Over</button>
+          <button type="button" class="btn-primary" onclick="this.closest('.modal-overlay').remove()">Close</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+
+    const video = modal.querySelector(".transfer-video");
+    let stream;
     try {
-      // Stub for Google Translate API
-      // In production, this would call Netlify function with process.env.GOOGLE_TRANSLATE_KEY
+      [stream] = await Promise.all([
+        navigator.mediaDevices.getUserMedia({
+          video: { facingMode: "environment" },
+        }),
+        "BarcodeDetector" in window ? null : this.loadScript(QR_SCANNER_URL),
+      ]);
+    } catch (error) {
+      modal.remove();
+      this.showMessage("Could not start the camera", "error");
+      return;
+    }
 
-      this.showMessage("Translation feature coming soon!", "info");
+    video.srcObject = stream;
+    await video.play();
 
-      // For MVP, just save the language preference
-      this.currentLanguage = languageCode;
-      this.saveSettings();
-      this.loadTranslationSection();
-    } catch (error) {
-      console.error("Translation error:", error);
-      this.showMessage("Translation failed", "error");
+    this.transfer = (await this.db.getMeta("qrTransfer")) || null;
+    this.renderTransferProgress(modal);
+
+    const detector =
+      "BarcodeDetector" in window
+        ? new BarcodeDetector({ formats: ["qr_code"] })
+        : null;
+    const canvas = document.createElement("canvas");
+    const context = canvas.getContext("2d", { willReadFrequently: true });
+
+    // Scan until the modal is closed or every frame has arrived
+    const scan = async () => {
+      if (!video.isConnected) {
+        stream.getTracks().forEach((track) => track.stop());
+        return;
+      }
+
+      try {
+        const text = detector
+          ? await this.detectWithBarcodeDetector(detector, video)
+          : this.detectWithJsQR(video, canvas, context);
+        if (text && (await this.receiveTransferFrame(text, modal))) {
+          stream.getTracks().forEach((track) => track.stop());
+          return;
+        }
+      } catch (error) {
+        console.error("QR scan error:", error);
+      }
+
+      setTimeout(scan, 150);
+    };
+    scan();
+  }
+
+  async detectWithBarcodeDetector(detector, video) {
+    const codes = await detector.detect(video);
+    return codes.length ? codes[0].rawValue : null;
+  }
+
+  detectWithJsQR(video, canvas, context) {
+    if (!video.videoWidth) return null;
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    context.drawImage(video, 0, 0);
+    const image = context.getImageData(0, 0, canvas.width, canvas.height);
+    const code = jsQR(image.data, image.width, image.height, {
+      inversionAttempts: "dontInvert",
+    });
+    return code ? code.data : null;
+  }
+
+  // Returns true once the whole bundle has been received and verified
+  async receiveTransferFrame(text, modal) {
+    const frame = this.parseTransferFrame(text);
+    if (!frame) return false;
+
+    if (!this.transfer || this.transfer.session !== frame.session) {
+      this.transfer = {
+        session: frame.session,
+        total: frame.total,
+        hash: frame.hash,
+        chunks: {},
+      };
+    }
+
+    if (this.transfer.chunks[frame.index]) return false;
+
+    this.transfer.chunks[frame.index] = frame.chunk;
+    await this.db.setMeta("qrTransfer", this.transfer);
+    this.renderTransferProgress(modal);
+
+    if (Object.keys(this.transfer.chunks).length < this.transfer.total) {
+      return false;
+    }
+
+    const bundleText = Array.from(
+      { length: this.transfer.total },
+      (_, i) => this.transfer.chunks[i + 1]
+    ).join("");
+    const hash = await this.sha256Hex(bundleText);
+
+    if (hash.slice(0, 16) !== this.transfer.hash) {
+      this.showMessage("Transfer was corrupted. Starting over.", "error");
+      await this.resetTransfer();
+      return false;
     }
+
+    await this.resetTransfer();
+    modal.remove();
+    this.pendingBackup = JSON.parse(bundleText);
+    this.showImportUserModal("QR transfer");
+    return true;
   }
 
-  async translateCustom() {
-    const customLang = document.getElementById("custom-lang").value.trim();
-    if (!customLang) return;
+  renderTransferProgress(modal) {
+    const progress = modal.querySelector(".transfer-progress");
+    const missing = modal.querySelector(".transfer-missing");
+    if (!progress) return;
 
-    // For MVP, just show coming soon message
-    this.showMessage(
-      `Custom translation to ${customLang} coming soon!`,
-      "info"
-    );
+    if (!this.transfer) {
+      progress.textContent = "Waiting for the first QR code...";
+      missing.textContent = "";
+      return;
+    }
+
+    const received = Object.keys(this.transfer.chunks).length;
+    progress.textContent = `Received ${received} of ${this.transfer.total} frames`;
+
+    const missed = [];
+    for (let i = 1; i <= this.transfer.total; i++) {
+      if (!this.transfer.chunks[i]) missed.push(i);
+    }
+    missing.textContent =
+      received > 0 && missed.length <= 20
+        ? `Still needed: ${missed.join(", ")}`
+        : "";
   }
 
-  loadUsersManagement() {
-    const container = document.getElementById("users-management");
+  async resetTransfer() {
+    this.transfer = null;
+    await this.db.setMeta("qrTransfer", null);
+    const modal = document.querySelector(".transfer-modal");
+    if (modal) this.renderTransferProgress(modal);
+  }
+
+  loadTrash() {
+    const container = document.getElementById("trash-management");
     if (!container) return;
 
-    const users = this.getUsers().filter((u) => !u.deleted);
+    const now = new Date();
+    const users = this.getUsers().filter(
+      (u) => u.deleted && this.getRestoreDeadline(u) > now
+    );
 
     if (users.length === 0) {
-      container.innerHTML = '<div class="empty">No users created yet.</div>';
+      container.innerHTML = '<div class="empty">Nothing here.</div>';
       return;
     }
 
     let html = '<div class="users-list">';
     users.forEach((user) => {
+      const daysLeft = Math.ceil(
+        (this.getRestoreDeadline(user) - now) / (24 * 60 * 60 * 1000)
+      );
       html += `
         <div class="user-item">
           <div class="user-info">
             <div class="user-name">${this.escapeHtml(user.name)}</div>
-            <div class="user-date">Created: ${new Date(
-              user.createdAt
-            ).toLocaleDateString()}</div>
+            <div class="user-date">Deleted: ${new Date(
+              user.deletedAt
+            ).toLocaleDateString()} • ${daysLeft} day${
+        daysLeft === 1 ? "" : "s"
+      } left to restore</div>
           </div>
           <div class="user-actions">
-            <button onclick="app.showChangePinModal('${
+            <button onclick="app.showRestoreUserModal('${
               user.id
-            }')" class="btn-secondary">Change PIN</button>
-            <button onclick="app.showDeleteUserModal('${
-              user.id
-            }')" class="btn-danger">Delete</button>
+            }')" class="btn-secondary">Restore</button>
           </div>
         </div>
       `;
@@ -1216,6 +4953,49 @@ Keep going! Every successful entrepreneur started with a first draft. 🚀`;
     container.innerHTML = html;
   }
 
+  showRestoreUserModal(userId) {
+    const user = this.getUsers().find((u) => u.id === userId);
+    if (!user) return;
+
+    const modal = document.createElement("div");
+    modal.className = "modal-overlay";
+    modal.innerHTML = `
+      <div class="modal">
+        <h3>Restore User: ${this.escapeHtml(user.name)}</h3>
+        <p>This brings back the user with all of their projects and drafts.</p>
+        <form onsubmit="app.handleRestoreUser(event, '${userId}')">
+          <div class="form-group">
+            <label for="restore-pin">Enter PIN to confirm *</label>
+            <input type="password" id="restore-pin" required>
+          </div>
+          <div class="modal-buttons">
+            <button type="button" onclick="this.closest('.modal-overlay').remove()">Cancel</button>
+            <button type="submit" class="btn-primary">Restore User</button>
+          </div>
+        </form>
+      </div>
+    `;
+    document.body.appendChild(modal);
+    this.showLockoutNotice(userId);
+  }
+
+  async handleRestoreUser(event, userId) {
+    event.preventDefault();
+
+    const pin = document.getElementById("restore-pin").value;
+
+    try {
+      await this.restoreUser(userId, pin);
+      document.querySelector(".modal-overlay").remove();
+      this.loadUsersManagement();
+      this.loadTrash();
+      this.showMessage("User restored successfully", "success");
+    } catch (error) {
+      this.showMessage(error.message, "error");
+      this.showLockoutNotice(userId);
+    }
+  }
+
   showChangePinModal(userId) {
     const user = this.getUsers().find((u) => u.id === userId);
     if (!user) return;
@@ -1242,20 +5022,22 @@ Keep going! Every successful entrepreneur started with a first draft. 🚀`;
       </div>
     `;
     document.body.appendChild(modal);
+    this.showLockoutNotice(userId);
   }
 
-  handleChangePin(event, userId) {
+  async handleChangePin(event, userId) {
     event.preventDefault();
 
     const safetyCode = document.getElementById("safety-code").value.trim();
     const newPin = document.getElementById("new-pin").value;
 
     try {
-      this.changeUserPin(userId, safetyCode, newPin);
+      await this.changeUserPin(userId, safetyCode, newPin);
       document.querySelector(".modal-overlay").remove();
       this.showMessage("PIN changed successfully!", "success");
     } catch (error) {
       this.showMessage(error.message, "error");
+      this.showLockoutNotice(userId);
     }
   }
 
@@ -1268,7 +5050,7 @@ Keep going! Every successful entrepreneur started with a first draft. 🚀`;
     modal.innerHTML = `
       <div class="modal">
         <h3>Delete User: ${this.escapeHtml(user.name)}</h3>
-        <p><strong>Warning:</strong> This will delete all local data for this user including projects and drafts.</p>
+        <p><strong>Warning:</strong> This will delete all local data for this user including projects and drafts. You can restore them from Recently Deleted for ${RESTORE_WINDOW_DAYS} days, after which they are removed for good.</p>
         <form onsubmit="app.handleDeleteUser(event, '${userId}')">
           <div class="form-group">
             <label for="confirm-pin">Enter PIN to confirm *</label>
@@ -1282,27 +5064,32 @@ Keep going! Every successful entrepreneur started with a first draft. 🚀`;
       </div>
     `;
     document.body.appendChild(modal);
+    this.showLockoutNotice(userId);
   }
 
-  handleDeleteUser(event, userId) {
+  async handleDeleteUser(event, userId) {
     event.preventDefault();
 
     const pin = document.getElementById("confirm-pin").value;
 
     try {
-      this.deleteUser(userId, pin);
+      await this.deleteUser(userId, pin);
       document.querySelector(".modal-overlay").remove();
       this.loadUsersManagement();
+      this.loadTrash();
 
-      // Reset current user if deleted
+      // Sign out if the deleted user was signed in, otherwise just drop
+      // their key
       if (this.currentUser === userId) {
-        this.currentUser = null;
-        this.currentProject = null;
+        this.switchUser(null);
+      } else {
+        this.lockUser(userId);
       }
 
       this.showMessage("User deleted successfully", "success");
     } catch (error) {
       this.showMessage(error.message, "error");
+      this.showLockoutNotice(userId);
     }
   }
 
@@ -1313,19 +5100,79 @@ Keep going! Every successful entrepreneur started with a first draft. 🚀`;
     return div.innerHTML;
   }
 
+  loadScript(src) {
+    this.loadedScripts = this.loadedScripts || {};
+    if (!this.loadedScripts[src]) {
+      this.loadedScripts[src] = new Promise((resolve, reject) => {
+        const script = document.createElement("script");
+        script.src = src;
+        script.onload = resolve;
+        script.onerror = () => {
+          delete this.loadedScripts[src];
+          reject(
+            new Error("Could not load a required component. Are you online?")
+          );
+        };
+        document.head.appendChild(script);
+      });
+    }
+    return this.loadedScripts[src];
+  }
+
+  toHex(bytes) {
+    return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+  }
+
+  async sha256Hex(text) {
+    const digest = await crypto.subtle.digest(
+      "SHA-256",
+      new TextEncoder().encode(text)
+    );
+    return this.toHex(new Uint8Array(digest));
+  }
+
+  crc32(text) {
+    if (!this.crcTable) {
+      this.crcTable = Array.from({ length: 256 }, (_, n) => {
+        let c = n;
+        for (let k = 0; k < 8; k++)
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        return c >>> 0;
+      });
+    }
+
+    let crc = 0xffffffff;
+    for (const byte of new TextEncoder().encode(text)) {
+      crc = this.crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return ((crc ^ 0xffffffff) >>> 0).toString(16).padStart(8, "0");
+  }
+
+  downloadFile(filename, contents, type) {
+    const url = URL.createObjectURL(new Blob([contents], { type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
   truncate(text, length) {
     if (text.length <= length) return text;
     return text.substring(0, length) + "...";
   }
 
-  formatFeedback(feedback) {
-    // Convert markdown-style formatting to HTML
-    return feedback
-      .replace(/\*\*(.*?)\*\*/g, "<strong>$1</strong>")
-      .replace(/\n/g, "<br>")
-      .replace(/• /g, "• ");
-  }
-
   showMessage(message, type = "info") {
     const toast = document.createElement("div");
     toast.className = `toast toast-${type}`;
@@ -1357,6 +5204,12 @@ Keep going! Every successful entrepreneur started with a first draft. 🚀`;
       if (e.target.id === "project-select") {
         this.onProjectSelect(e.target.value);
       }
+      if (e.target.dataset && e.target.dataset.photoFor) {
+        this.onPhotoSelected(e.target);
+      }
+      if (e.target.id === "ideas-grading-filter") {
+        this.loadGlobalIdeas();
+      }
     });
 
     // Feedback form
@@ -1373,6 +5226,45 @@ Keep going! Every successful entrepreneur started with a first draft. 🚀`;
       }
     });
 
+    // Auto-lock on inactivity
+    ["pointerdown", "keydown", "touchstart", "scroll"].forEach((type) => {
+      document.addEventListener(type, () => this.resetIdleTimer(), {
+        passive: true,
+      });
+    });
+    document.addEventListener("visibilitychange", () => {
+      if (document.visibilityState === "visible") this.checkIdleLock();
+      else this.flushAutosave();
+    });
+    window.addEventListener("pagehide", () => this.flushAutosave());
+
+    // Grade queued drafts as soon as the connection is back
+    window.addEventListener("online", () => {
+      this.processGradingQueue({ force: true });
+      this.flushOutbox();
+    });
+
+    // Remember the last written answer for the previous drafts reader
+    document.addEventListener("focusin", (e) => {
+      if (
+        e.target.matches(
+          '#submission-form form textarea, #submission-form form input[type="text"]'
+        )
+      ) {
+        this.lastAnswerField = e.target;
+      }
+    });
+
+    // Draft autosave and conditional follow-up questions
+    document.addEventListener("input", (e) => {
+      const form = e.target.closest("#submission-form form");
+      if (!form) return;
+      if (this.activeDraft) {
+        this.updateConditionalQuestions(form, this.activeDraft.draftNumber);
+      }
+      this.scheduleAutosave();
+    });
+
     // Close modals on outside click
     document.addEventListener("click", (e) => {
       if (
@@ -1391,6 +5283,10 @@ Keep going! Every successful entrepreneur started with a first draft. 🚀`;
         if (event.data && event.data.type === "CACHE_UPDATED") {
           this.showMessage("App updated! Reload to see changes.", "info");
         }
+        if (event.data && event.data.type === "OUTBOX_SENT") {
+          this.refreshOutbox();
+          if (this.currentScreen === "submissions") this.loadMySubmissions();
+        }
       });
     }
   }
@@ -1401,32 +5297,6 @@ document.addEventListener("DOMContentLoaded", () => {
   window.app = new CapseraApp();
 });
 
-// Sample data for development/testing
-const SAMPLE_QUESTIONS = {
-  draft1: [
-    "What problem does your product solve?",
-    "Who does this product help?",
-    "What do people currently use and how is that limited?",
-    "How is your product better?",
-    "How did you find Capsera?",
-  ],
-  draft2: [
-    "Did you conduct customer interviews? How many?",
-    "What did you learn from customer interviews?",
-    "Who are your main competitors? How did you research them?",
-    "Did you build an MVP? If yes, share the link. If no, why not?",
-    "How big is your target market?",
-  ],
-  draft3: [
-    "Give us your 30-second elevator pitch",
-    "How will you make money?",
-    "What traction do you have? (users, revenue, partnerships)",
-    "How much funding do you need and what for?",
-    "Link to your MVP or prototype",
-    "Email for mentor/funder contact (optional)",
-  ],
-};
-
 // Feedback form questions for developers
 const FEEDBACK_QUESTIONS = [
   "How intuitive is the app interface?",
@@ -0,0 +1,257 @@
+// Capsera PWA - Local Storage Layer
+// Versioned IndexedDB stores for users, projects and drafts on this device.
+// Also loaded by the service worker, which drains the outbox.
+
+const DB_NAME = "capsera";
+const DB_VERSION = 4;
+
+// Schema migrations keyed by the version they upgrade to. They run in order
+// inside the versionchange transaction, so a device that skipped releases
+// still walks through every step.
+const DB_MIGRATIONS = {
+  1: (db) => {
+    db.createObjectStore("users", { keyPath: "id" });
+
+    const projects = db.createObjectStore("projects", { keyPath: "id" });
+    projects.createIndex("userId", "userId");
+
+    const drafts = db.createObjectStore("drafts", {
+      keyPath: ["projectId", "draftNumber"],
+    });
+    drafts.createIndex("projectId", "projectId");
+
+    db.createObjectStore("meta", { keyPath: "key" });
+  },
+
+  // In-progress answers autosaved from the draft forms
+  2: (db) => {
+    const autosaves = db.createObjectStore("autosaves", {
+      keyPath: ["userId", "projectId", "draftNumber"],
+    });
+    autosaves.createIndex("userId", "userId");
+  },
+
+  // Photos attached to draft answers, one per question
+  3: (db) => {
+    const media = db.createObjectStore("media", {
+      keyPath: ["projectId", "draftNumber", "questionId"],
+    });
+    media.createIndex("userId", "userId");
+    media.createIndex("projectId", "projectId");
+  },
+
+  // Records waiting to be sent to Supabase. Stored in the clear: they hold
+  // only what is about to be shared anyway, and must be sendable while
+  // their user is locked or by the service worker with the app closed.
+  4: (db) => {
+    db.createObjectStore("outbox", { keyPath: "id" });
+  },
+};
+
+// Outbox sends that failed because of the record itself (malformed, or
+// breaking a constraint) and would fail the same way again. Auth errors and
+// missing tables (401, 403, 404) can be fixed on the server, so those stay
+// in line for a retry.
+function isPermanentFailure(status) {
+  return [400, 409, 422].includes(status);
+}
+
+class CapseraDB {
+  constructor() {
+    this.db = null;
+    this.opening = null;
+  }
+
+  open() {
+    if (this.opening) return this.opening;
+
+    this.opening = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        for (let v = event.oldVersion + 1; v <= event.newVersion; v++) {
+          DB_MIGRATIONS[v](request.result, request.transaction);
+        }
+      };
+
+      request.onsuccess = () => {
+        this.db = request.result;
+        // Let a newer tab upgrade the schema instead of blocking it
+        this.db.onversionchange = () => {
+          this.db.close();
+          this.opening = null;
+        };
+        resolve(this.db);
+      };
+
+      request.onerror = () => {
+        this.opening = null;
+        reject(request.error);
+      };
+    });
+
+    return this.opening;
+  }
+
+  // Run `callback` with the named object stores in a single transaction.
+  // Resolves with the callback's return value once the transaction commits.
+  async transaction(storeNames, mode, callback) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeNames, mode);
+      const stores = {};
+      storeNames.forEach((name) => {
+        stores[name] = tx.objectStore(name);
+      });
+
+      let result;
+      try {
+        result = callback(stores);
+      } catch (error) {
+        tx.abort();
+        reject(error);
+        return;
+      }
+
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  async run(storeName, mode, operation) {
+    const request = await this.transaction([storeName], mode, (stores) =>
+      operation(stores[storeName])
+    );
+    return request.result;
+  }
+
+  get(storeName, key) {
+    return this.run(storeName, "readonly", (store) => store.get(key));
+  }
+
+  getAll(storeName) {
+    return this.run(storeName, "readonly", (store) => store.getAll());
+  }
+
+  getAllFromIndex(storeName, indexName, key) {
+    return this.run(storeName, "readonly", (store) =>
+      store.index(indexName).getAll(key)
+    );
+  }
+
+  getAllKeys(storeName) {
+    return this.run(storeName, "readonly", (store) => store.getAllKeys());
+  }
+
+  put(storeName, value) {
+    return this.run(storeName, "readwrite", (store) => store.put(value));
+  }
+
+  delete(storeName, key) {
+    return this.run(storeName, "readwrite", (store) => store.delete(key));
+  }
+
+  async getMeta(key) {
+    const entry = await this.get("meta", key);
+    return entry ? entry.value : undefined;
+  }
+
+  setMeta(key, value) {
+    return this.put("meta", { key, value });
+  }
+
+  // Outbox
+  // Shared by the app and the service worker. Entries are removed once
+  // Supabase accepts them; ones it rejects outright are kept, marked, and
+  // no longer retried. With onConflict (a unique column) a row that already
+  // reached the server is skipped instead of inserted twice.
+  async addToOutbox(table, record, { onConflict = null } = {}) {
+    const entry = {
+      id: crypto.randomUUID(),
+      table,
+      record,
+      onConflict,
+      createdAt: new Date().toISOString(),
+      attempts: 0,
+    };
+    await this.put("outbox", entry);
+    return entry;
+  }
+
+  getOutbox() {
+    return this.getAll("outbox");
+  }
+
+  // Puts a rejected entry back in line, once the problem has been fixed
+  async retryOutboxEntry(id) {
+    const entry = await this.get("outbox", id);
+    if (!entry) return;
+    delete entry.rejected;
+    await this.put("outbox", entry);
+  }
+
+  // Sends every pending entry through Supabase's REST API. config is
+  // { url, anonKey }. Resolves with how many were sent and whether any
+  // are worth retrying later. A Web Lock keeps the app and the service
+  // worker from sending the same entry twice.
+  drainOutbox(config) {
+    const drain = async () => {
+      let sent = 0;
+      let retry = false;
+
+      for (const entry of await this.getOutbox()) {
+        if (entry.rejected) continue;
+
+        try {
+          const query = entry.onConflict
+            ? `?on_conflict=${encodeURIComponent(entry.onConflict)}`
+            : "";
+          const response = await fetch(
+            `${config.url}/rest/v1/${entry.table}${query}`,
+            {
+              method: "POST",
+              headers: {
+                apikey: config.anonKey,
+                Authorization: `Bearer ${config.anonKey}`,
+                "Content-Type": "application/json",
+                Prefer: entry.onConflict
+                  ? "resolution=ignore-duplicates,return=minimal"
+                  : "return=minimal",
+              },
+              body: JSON.stringify(entry.record),
+            }
+          );
+
+          if (!response.ok) {
+            const error = new Error(
+              `${entry.table} returned ${response.status}`
+            );
+            error.status = response.status;
+            throw error;
+          }
+
+          await this.delete("outbox", entry.id);
+          sent++;
+        } catch (error) {
+          entry.attempts += 1;
+          entry.lastError = error.message;
+          entry.rejected = isPermanentFailure(error.status);
+          retry = retry || !entry.rejected;
+          await this.put("outbox", entry);
+        }
+      }
+
+      return { sent, retry };
+    };
+
+    const locks = typeof navigator !== "undefined" && navigator.locks;
+    return locks ? locks.request("capsera-outbox", drain) : drain();
+  }
+}
+
+// Export for potential external use
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = CapseraDB;
+}
@@ -0,0 +1,207 @@
+// Capsera PWA - Grading Contract
+// Request and response shapes for the grading endpoint. Loaded by the app,
+// the Netlify grading function and the mock grading server, so all three
+// agree on what a valid grade looks like.
+
+const GRADING_CONTRACT_VERSION = 2;
+
+// Bump whenever the grading prompt changes. Scores from different prompts
+// are not comparable, so the app can filter rankings by it.
+const GRADING_PROMPT_VERSION = 1;
+
+// What produced a grade: the OpenAI function, the on-device rubric or the
+// mock server
+const GRADER_TYPES = ["ai", "rubric", "mock"];
+
+// Spec leniency: nothing below 70 unless the grader explains why the idea
+// is truly bad (spam, empty or nonsensical answers)
+const LENIENT_SCORE_FLOOR = 70;
+
+// Scores under this get the longer, more detailed feedback
+const DETAILED_FEEDBACK_BELOW = 80;
+const DETAILED_FEEDBACK_MIN_POINTS = 3;
+
+// Tailored questions for the next draft, appended to its standard ones.
+// Draft 3 is the last, so it gets none.
+const NEXT_DRAFT_QUESTIONS_MIN = 2;
+const NEXT_DRAFT_QUESTIONS_MAX = 4;
+
+// Longest answer or voice transcript passed on to the model; the rest is
+// cut off so one request cannot run up the OpenAI bill
+const MAX_ANSWER_CHARS = 3000;
+
+// Largest request body the grading endpoint accepts
+const MAX_REQUEST_BYTES = 256 * 1024;
+
+// How far a draft got on each action item from the previous draft's feedback
+const ACTION_ITEM_STATUSES = ["addressed", "partial", "not_addressed"];
+
+function isStringList(value) {
+  return (
+    Array.isArray(value) &&
+    value.every((item) => typeof item === "string" && item.trim())
+  );
+}
+
+function isAnswerList(value) {
+  return (
+    Array.isArray(value) &&
+    value.every(
+      (a) => a && typeof a.question === "string" && typeof a.answer === "string"
+    )
+  );
+}
+
+function capAnswer(entry) {
+  const capped = { ...entry, answer: entry.answer.slice(0, MAX_ANSWER_CHARS) };
+  if (typeof entry.transcript === "string") {
+    capped.transcript = entry.transcript.slice(0, MAX_ANSWER_CHARS);
+  }
+  return capped;
+}
+
+// Throws if the request body is not something the grader can work with.
+// Returns a copy with over-long answers cut to MAX_ANSWER_CHARS.
+function validateGradeRequest(request) {
+  if (!request || typeof request !== "object") {
+    throw new Error("Request must be a JSON object");
+  }
+  if (![1, 2, 3].includes(request.draftNumber)) {
+    throw new Error("draftNumber must be 1, 2 or 3");
+  }
+  if (!isAnswerList(request.answers)) {
+    throw new Error("answers must be a list of { question, answer }");
+  }
+  if (
+    !Array.isArray(request.previousDrafts) ||
+    !request.previousDrafts.every((d) => d && isAnswerList(d.answers))
+  ) {
+    throw new Error("previousDrafts must be a list of drafts with answers");
+  }
+
+  return {
+    ...request,
+    answers: request.answers.map(capAnswer),
+    previousDrafts: request.previousDrafts.map((draft) => ({
+      ...draft,
+      answers: draft.answers.map(capAnswer),
+    })),
+  };
+}
+
+// Returns a clean copy of the grade for the given draft, or throws
+// describing the first problem
+function validateGrade(grade, draftNumber) {
+  if (!grade || typeof grade !== "object") {
+    throw new Error("Grade must be a JSON object");
+  }
+  if (!Number.isFinite(grade.score) || grade.score < 0 || grade.score > 100) {
+    throw new Error("score must be a number from 0 to 100");
+  }
+  ["pros", "cons", "nextSteps", "nextDraftQuestions"].forEach((field) => {
+    if (!isStringList(grade[field])) {
+      throw new Error(`${field} must be a list of strings`);
+    }
+  });
+  if (grade.pros.length === 0 || grade.nextSteps.length === 0) {
+    throw new Error("pros and nextSteps must not be empty");
+  }
+  if (
+    draftNumber < 3 &&
+    grade.nextDraftQuestions.length < NEXT_DRAFT_QUESTIONS_MIN
+  ) {
+    throw new Error(
+      `nextDraftQuestions needs at least ${NEXT_DRAFT_QUESTIONS_MIN} questions before draft 3`
+    );
+  }
+
+  const score = Math.round(grade.score);
+  if (
+    score < DETAILED_FEEDBACK_BELOW &&
+    (grade.cons.length < DETAILED_FEEDBACK_MIN_POINTS ||
+      grade.nextSteps.length < DETAILED_FEEDBACK_MIN_POINTS)
+  ) {
+    throw new Error("Low scores need detailed cons and next steps");
+  }
+
+  // Optional: drafts 1 have nothing to review
+  const review = grade.actionItemReview || [];
+  if (
+    !Array.isArray(review) ||
+    !review.every(
+      (r) =>
+        r && typeof r.id === "string" && ACTION_ITEM_STATUSES.includes(r.status)
+    )
+  ) {
+    throw new Error("actionItemReview must be a list of { id, status }");
+  }
+
+  return {
+    score,
+    pros: grade.pros.map((s) => s.trim()),
+    cons: grade.cons.map((s) => s.trim()),
+    nextSteps: grade.nextSteps.map((s) => s.trim()),
+    nextDraftQuestions: grade.nextDraftQuestions
+      .slice(0, NEXT_DRAFT_QUESTIONS_MAX)
+      .map((s) => s.trim()),
+    encouragement:
+      typeof grade.encouragement === "string" ? grade.encouragement.trim() : "",
+    aiLikely: grade.aiLikely === true,
+    belowFloorReason:
+      typeof grade.belowFloorReason === "string" &&
+      grade.belowFloorReason.trim()
+        ? grade.belowFloorReason.trim()
+        : null,
+    actionItemReview: review.map((r) => ({
+      id: r.id,
+      status: r.status,
+      note: typeof r.note === "string" && r.note.trim() ? r.note.trim() : null,
+    })),
+  };
+}
+
+// The grading endpoint says who graded: { type, version, model }
+function validateGrader(grader) {
+  if (
+    !grader ||
+    !GRADER_TYPES.includes(grader.type) ||
+    !Number.isInteger(grader.version)
+  ) {
+    throw new Error("grader must be { type, version, model }");
+  }
+  return {
+    type: grader.type,
+    version: grader.version,
+    model: typeof grader.model === "string" ? grader.model : null,
+  };
+}
+
+function applyLeniency(grade) {
+  if (grade.score >= LENIENT_SCORE_FLOOR || grade.belowFloorReason) {
+    return grade;
+  }
+  return { ...grade, score: LENIENT_SCORE_FLOOR };
+}
+
+const GradingContract = {
+  GRADING_CONTRACT_VERSION,
+  GRADING_PROMPT_VERSION,
+  GRADER_TYPES,
+  LENIENT_SCORE_FLOOR,
+  DETAILED_FEEDBACK_BELOW,
+  DETAILED_FEEDBACK_MIN_POINTS,
+  NEXT_DRAFT_QUESTIONS_MIN,
+  NEXT_DRAFT_QUESTIONS_MAX,
+  ACTION_ITEM_STATUSES,
+  MAX_ANSWER_CHARS,
+  MAX_REQUEST_BYTES,
+  validateGradeRequest,
+  validateGrade,
+  validateGrader,
+  applyLeniency,
+};
+
+// Export for potential external use
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = GradingContract;
+}
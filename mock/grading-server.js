@@ -0,0 +1,133 @@
+// Capsera - Mock Grading Server
+// Answers grading requests like the Netlify function, without network or an
+// OpenAI key. Point window.ENV.GRADING_URL at it while developing:
+//
+//   node mock/grading-server.js
+//   GRADING_URL: "http://localhost:8787/grade-draft"
+//
+// MOCK_GRADER_MODE=invalid returns a grade that breaks the contract and
+// MOCK_GRADER_MODE=error returns a 502, to test how the app copes.
+
+const http = require("http");
+const {
+  GRADING_CONTRACT_VERSION,
+  validateGradeRequest,
+  validateGrade,
+  applyLeniency,
+} = require("../grading-contract.js");
+const { reviewActionItems } = require("../rubric.js");
+
+const PORT = Number(process.env.PORT) || 8787;
+const MODE = process.env.MOCK_GRADER_MODE || "ok";
+
+// Bump when mockGrade changes
+const MOCK_GRADER_VERSION = 1;
+
+// Deterministic grade from how much was written, so the same draft always
+// gets the same score
+function mockGrade({ draftNumber, answers, previousDrafts, language }) {
+  const words = answers
+    .map((a) => `${a.answer} ${a.transcript || ""}`)
+    .join(" ")
+    .split(/\s+/)
+    .filter(Boolean).length;
+  const isSpam = words < answers.length * 2;
+  const score = isSpam ? 40 : Math.min(95, 60 + Math.floor(words / 8));
+  const previous = previousDrafts[previousDrafts.length - 1];
+
+  const grade = {
+    score,
+    pros: ["You described the problem in your own words"],
+    cons: [
+      "Say more about who exactly has this problem",
+      "Explain how people solve it today",
+      "Give a number for how many people you could reach",
+    ],
+    nextSteps:
+      draftNumber === 1
+        ? [
+            "Interview at least 3 possible customers",
+            "Write down what surprised you in each interview",
+            "Look for 2 competitors near you",
+          ]
+        : [
+            "Test a simple version with real users",
+            "Ask users what they would pay",
+            "Write down what you changed since your last draft",
+          ],
+    nextDraftQuestions:
+      draftNumber === 3
+        ? []
+        : [
+            "What did your customers say that you did not expect?",
+            "What would make someone stop using your product after a week?",
+          ],
+    encouragement: "Keep going - every draft makes your idea stronger!",
+    aiLikely: false,
+    belowFloorReason: isSpam ? "The answers are too short to judge" : null,
+    actionItemReview: previous
+      ? reviewActionItems(previous.actionItems || [], answers, language).filter(
+          (review) => review.status !== "unknown"
+        )
+      : [],
+  };
+
+  if (previous && previous.score && score > previous.score) {
+    grade.pros.push(`Improved from your last score of ${previous.score}`);
+  }
+  if (MODE === "invalid") delete grade.pros;
+
+  return grade;
+}
+
+function send(res, statusCode, body) {
+  res.writeHead(statusCode, {
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type",
+    "Access-Control-Allow-Methods": "POST, OPTIONS",
+    "Content-Type": "application/json",
+  });
+  res.end(body === null ? "" : JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method === "OPTIONS") return send(res, 204, null);
+  if (req.method !== "POST" || req.url !== "/grade-draft") {
+    return send(res, 404, { error: "Not found" });
+  }
+
+  let body = "";
+  req.on("data", (chunk) => (body += chunk));
+  req.on("end", () => {
+    let gradeRequest;
+    try {
+      gradeRequest = validateGradeRequest(JSON.parse(body));
+    } catch (error) {
+      return send(res, 400, { error: error.message });
+    }
+
+    if (MODE === "error") {
+      return send(res, 502, { error: "Grading failed: mock error" });
+    }
+
+    const grade = mockGrade(gradeRequest);
+    console.log(
+      `Draft ${gradeRequest.draftNumber}: ${grade.score}/100 (${MODE})`
+    );
+
+    // Like the real function, never send a grade that breaks the contract
+    // unless asked to, so the app's own validation can be exercised
+    send(res, 200, {
+      contractVersion: GRADING_CONTRACT_VERSION,
+      grader: { type: "mock", version: MOCK_GRADER_VERSION, model: null },
+      grade:
+        MODE === "invalid"
+          ? grade
+          : applyLeniency(validateGrade(grade, gradeRequest.draftNumber)),
+    });
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock grader listening on http://localhost:${PORT}/grade-draft`);
+});
@@ -0,0 +1,137 @@
+// Capsera - Draft Grading Function
+// Grades one draft with OpenAI. The API key only lives in the Netlify
+// environment; the browser gets back a grade checked against the contract.
+
+const {
+  GRADING_CONTRACT_VERSION,
+  GRADING_PROMPT_VERSION,
+  LENIENT_SCORE_FLOOR,
+  DETAILED_FEEDBACK_BELOW,
+  DETAILED_FEEDBACK_MIN_POINTS,
+  NEXT_DRAFT_QUESTIONS_MIN,
+  NEXT_DRAFT_QUESTIONS_MAX,
+  MAX_REQUEST_BYTES,
+  validateGradeRequest,
+  validateGrade,
+  applyLeniency,
+} = require("../../grading-contract.js");
+
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+const OPENAI_MODEL = process.env.OPENAI_MODEL || "gpt-4o-mini";
+const OPENAI_URL = "https://api.openai.com/v1/chat/completions";
+
+// One retry when the model's JSON does not satisfy the contract
+const MAX_ATTEMPTS = 2;
+
+// Bump GRADING_PROMPT_VERSION in grading-contract.js when changing this
+const SYSTEM_PROMPT = `You grade startup idea drafts written by young entrepreneurs in low-resource regions such as rural India. Many write in simple or broken English; judge the idea, not the writing.
+
+Scoring:
+- Be encouraging and not harsh. Scores stay at ${LENIENT_SCORE_FLOOR} or above unless the idea is absolutely awful, spam (for example "e" in every answer) or empty. Only then go lower, and explain why in "belowFloorReason".
+- For drafts 2 and 3, compare against the previous drafts and their scores. Reward real iteration and check whether earlier cons and next steps were addressed.
+- The most recent previous draft lists its feedback as "actionItems" with ids. Review every one of them in "actionItemReview" with status "addressed", "partial" or "not_addressed" and a short note on what changed or what is still missing. For draft 1 it is an empty list.
+- Draft 1 next steps must tell them to run customer interviews.
+
+Feedback:
+- Give pros and cons as short bullet points, not grouped into categories.
+- Below ${DETAILED_FEEDBACK_BELOW}, give detailed feedback: at least ${DETAILED_FEEDBACK_MIN_POINTS} cons and ${DETAILED_FEEDBACK_MIN_POINTS} next steps. Higher scores get reasonably short feedback.
+- "nextDraftQuestions" are ${NEXT_DRAFT_QUESTIONS_MIN}-${NEXT_DRAFT_QUESTIONS_MAX} open-ended questions for the next draft, tailored to this product and its weaknesses (a physical tool for farmers needs different questions than an app). They are added to the next draft's form, so write them as questions to the user. Use an empty list for draft 3.
+- Set "aiLikely" to true when the answers look at least 80% likely to be AI-written.
+- End with one encouraging sentence in "encouragement".
+- Write the feedback in the language given in the request.
+
+Reply with only a JSON object:
+{"score": number, "pros": [string], "cons": [string], "nextSteps": [string], "nextDraftQuestions": [string], "encouragement": string, "aiLikely": boolean, "belowFloorReason": string or null, "actionItemReview": [{"id": string, "status": string, "note": string}]}`;
+
+// The app is served from the same site, so there are deliberately no CORS
+// headers: other websites cannot read the responses. Only JSON requests are
+// accepted (see isJsonRequest), so a cross-site browser request needs a
+// preflight, which fails without those headers and keeps it from reaching
+// OpenAI at all.
+function respond(statusCode, body) {
+  return {
+    statusCode,
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  };
+}
+
+// Form posts and text/plain bodies can be sent cross-site without a
+// preflight; a JSON content type cannot
+function isJsonRequest(event) {
+  const headers = event.headers || {};
+  const name = Object.keys(headers).find(
+    (key) => key.toLowerCase() === "content-type"
+  );
+  return /^application\/json\s*(;|$)/i.test(name ? headers[name] : "");
+}
+
+async function requestGrade(gradeRequest) {
+  const response = await fetch(OPENAI_URL, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${OPENAI_API_KEY}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      model: OPENAI_MODEL,
+      temperature: 0.4,
+      response_format: { type: "json_object" },
+      messages: [
+        { role: "system", content: SYSTEM_PROMPT },
+        { role: "user", content: JSON.stringify(gradeRequest) },
+      ],
+    }),
+  });
+
+  if (!response.ok) {
+    throw new Error(`OpenAI request failed with ${response.status}`);
+  }
+
+  // The exact model snapshot that answered, not just the alias asked for
+  const completion = await response.json();
+  return {
+    grade: JSON.parse(completion.choices[0].message.content),
+    model: completion.model || OPENAI_MODEL,
+  };
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod !== "POST") {
+    return respond(405, { error: "Method not allowed" });
+  }
+  if (!isJsonRequest(event)) {
+    return respond(415, { error: "Requests must be sent as application/json" });
+  }
+  if (!OPENAI_API_KEY) {
+    return respond(500, { error: "Grading is not configured" });
+  }
+
+  if (Buffer.byteLength(event.body || "") > MAX_REQUEST_BYTES) {
+    return respond(413, { error: "Request is too large" });
+  }
+
+  let gradeRequest;
+  try {
+    gradeRequest = validateGradeRequest(JSON.parse(event.body));
+  } catch (error) {
+    return respond(400, { error: error.message });
+  }
+
+  let lastError;
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    try {
+      const { grade, model } = await requestGrade(gradeRequest);
+      return respond(200, {
+        contractVersion: GRADING_CONTRACT_VERSION,
+        grader: { type: "ai", version: GRADING_PROMPT_VERSION, model },
+        grade: applyLeniency(validateGrade(grade, gradeRequest.draftNumber)),
+      });
+    } catch (error) {
+      console.error(`Grading attempt ${attempt} failed:`, error.message);
+      lastError = error;
+    }
+  }
+
+  return respond(502, { error: `Grading failed: ${lastError.message}` });
+};
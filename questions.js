@@ -0,0 +1,205 @@
+// Capsera PWA - Draft Question Bank
+// Declarative questions for drafts 1-3, read by the form renderer and the grader
+//
+// Question fields:
+//   id            answer key; keep it stable once drafts have been saved with it
+//   label         question text shown to the user
+//   type          text | textarea | yesno | choice | url | email | photo
+//   required      must be answered before the draft can be submitted
+//   hint          optional help text shown under the input
+//   placeholder   optional placeholder for text inputs
+//   options       for "choice": [{ value, label }]
+//   showIf        only ask when another answer matches:
+//                 { question: "<id>", equals: "<value>" } or { question, in: [...] }
+//   analyticsOnly asked for the team's analytics, never sent to the grader
+//
+// followUpFallbacks on drafts 2 and 3 are general follow-up questions, used
+// when the grader tailored fewer than the minimum for that draft
+
+const QUESTION_BANK = {
+  1: {
+    title: "Draft 1: Initial Concept",
+    instructions: "Tell us about your amazing idea! Be honest and detailed.",
+    questions: [
+      {
+        id: "problem",
+        label: "What problem does your product solve?",
+        type: "textarea",
+        required: true,
+      },
+      {
+        id: "target",
+        label: "Who does this product help?",
+        type: "textarea",
+        required: true,
+      },
+      {
+        id: "current_solutions",
+        label: "What do people currently use and how is that limited?",
+        type: "textarea",
+        required: true,
+      },
+      {
+        id: "better_how",
+        label: "How is your product better?",
+        type: "textarea",
+        required: true,
+      },
+      {
+        id: "discovery",
+        label: "How did you find Capsera?",
+        type: "choice",
+        required: false,
+        analyticsOnly: true,
+        options: [
+          { value: "friend_family", label: "Friend or family" },
+          { value: "school", label: "School or teacher" },
+          { value: "community", label: "NGO or community program" },
+          { value: "social_media", label: "Social media" },
+          { value: "other", label: "Other" },
+        ],
+      },
+    ],
+  },
+
+  2: {
+    title: "Draft 2: Market Validation",
+    instructions:
+      "Time to validate! Show us your market research and customer insights.",
+    followUpFallbacks: [
+      "What did the people you talked to say that surprised you most?",
+      "What is the biggest reason someone might not use your product?",
+    ],
+    questions: [
+      {
+        id: "interviews",
+        label: "Did you conduct customer interviews? How many, and with whom?",
+        type: "textarea",
+        required: true,
+      },
+      {
+        id: "interview_results",
+        label: "What did you learn from customer interviews?",
+        type: "textarea",
+        required: true,
+      },
+      {
+        id: "market_research",
+        label:
+          "What other research did you do to check that people really need this?",
+        type: "textarea",
+        required: true,
+      },
+      {
+        id: "competitors",
+        label:
+          "Who are your main competitors? How thoroughly did you research them?",
+        type: "textarea",
+        required: true,
+      },
+      {
+        id: "mvp_built",
+        label:
+          "Did you build an MVP (for example a website, app or prototype)?",
+        type: "yesno",
+        required: false,
+      },
+      {
+        id: "mvp_link",
+        label: "Share a link to your MVP if it is online",
+        type: "url",
+        required: false,
+        showIf: { question: "mvp_built", equals: "yes" },
+      },
+      {
+        id: "mvp_why_not",
+        label: "Why didn't you build an MVP yet?",
+        type: "textarea",
+        required: false,
+        showIf: { question: "mvp_built", equals: "no" },
+      },
+      {
+        id: "market_size",
+        label: "How big is your target market?",
+        type: "textarea",
+        required: false,
+      },
+      {
+        id: "product_photo",
+        label: "If your product is a physical item, add a photo of it",
+        type: "photo",
+        required: false,
+        hint: "Take a new photo or pick one from your gallery. It is shrunk on your phone to save data.",
+      },
+    ],
+  },
+
+  3: {
+    title: "Draft 3: Final Pitch",
+    instructions:
+      "Time for your investor pitch! Reference your previous drafts and show your progress.",
+    followUpFallbacks: [
+      "What is the most important thing you changed since your first draft, and why?",
+      "What would you do first if you received funding tomorrow?",
+    ],
+    questions: [
+      {
+        id: "elevator_pitch",
+        label: "Pitch your idea like you're talking to an investor",
+        type: "textarea",
+        required: true,
+        hint: 'Example: "Tomato farmers near Nashik lose a third of their harvest before market. Our ₹1,500 clay cooler keeps produce fresh for 5 days without electricity. 12 farmers tested it and 9 want to buy one."',
+      },
+      {
+        id: "research_done",
+        label:
+          "What research have you done to test your idea or put it out there?",
+        type: "textarea",
+        required: true,
+      },
+      {
+        id: "business_model",
+        label: "How will you make money?",
+        type: "textarea",
+        required: true,
+      },
+      {
+        id: "traction",
+        label: "What traction do you have? (users, revenue, partnerships)",
+        type: "textarea",
+        required: true,
+      },
+      {
+        id: "funding_ask",
+        label: "How much funding do you need and what for?",
+        type: "textarea",
+        required: true,
+      },
+      {
+        id: "mvp_built",
+        label:
+          "Did you develop an MVP (for example a website, app or prototype)?",
+        type: "yesno",
+        required: false,
+      },
+      {
+        id: "mvp_link",
+        label: "Link to your MVP or prototype",
+        type: "url",
+        required: false,
+        showIf: { question: "mvp_built", equals: "yes" },
+      },
+      {
+        id: "contact_email",
+        label: "Email for mentor/funder contact (optional)",
+        type: "email",
+        required: false,
+      },
+    ],
+  },
+};
+
+// Export for potential external use
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = QUESTION_BANK;
+}
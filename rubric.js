@@ -0,0 +1,299 @@
+// Capsera PWA - Offline Rubric Scorer
+// Deterministic, explainable scoring used while a draft waits for its AI
+// grade. Takes the same request the grading endpoint gets and returns the
+// same pros/cons/next-steps shape, so it can be shown in the same places.
+
+const RUBRIC_VERSION = 1;
+
+// How much each criterion counts per draft. Interviews and change since the
+// last draft only matter once there is something to compare against.
+const RUBRIC_WEIGHTS = {
+  1: {
+    depth: 0.45,
+    specificity: 0.35,
+    interviews: 0,
+    competitors: 0.2,
+    change: 0,
+  },
+  2: {
+    depth: 0.25,
+    specificity: 0.2,
+    interviews: 0.3,
+    competitors: 0.15,
+    change: 0.1,
+  },
+  3: {
+    depth: 0.25,
+    specificity: 0.25,
+    interviews: 0.15,
+    competitors: 0.1,
+    change: 0.25,
+  },
+};
+
+// Answers written by the user. Depth and specificity are averaged over
+// these only, so choices, photos and skipped optional questions don't count.
+const RUBRIC_TEXT_TYPES = ["text", "textarea"];
+
+// Words per answer that count as a full, thoughtful answer
+const RUBRIC_TARGET_WORDS = 40;
+
+const RUBRIC_CRITERIA = {
+  depth: {
+    pro: "Your answers are detailed and thoughtful",
+    con: "Several answers are short",
+    nextStep: "Write at least 3-4 sentences for each question",
+  },
+  specificity: {
+    pro: "You use specific numbers, names and places",
+    con: "Your answers need more specific details",
+    nextStep:
+      "Add real numbers, names and places (for example how many people, which village, what price)",
+  },
+  interviews: {
+    pro: "You show evidence of talking to real customers",
+    con: "There is little evidence of customer interviews",
+    nextStep:
+      "Interview at least 3 possible customers and write down what they said",
+  },
+  competitors: {
+    pro: "You looked at competitors and alternatives",
+    con: "Competitors and current alternatives are not clear",
+    nextStep:
+      "Name 2-3 competitors or things people use today and how yours is different",
+  },
+  change: {
+    pro: "You clearly improved on your previous draft",
+    con: "This draft is very similar to your previous one",
+    nextStep: "Use the feedback from your last draft to change your answers",
+  },
+};
+
+const RUBRIC_FALLBACK_STEPS = [
+  "Test your idea with a simple prototype or drawing",
+  "Ask people what they would pay for your product",
+  "Look around your community for who has this problem most",
+];
+
+const RUBRIC_NEXT_DRAFT_QUESTIONS = {
+  1: [
+    "Who did you interview, and what surprised you most?",
+    "What do people use today instead of your product?",
+  ],
+  2: [
+    "What did you change in your idea after talking to customers?",
+    "How will you reach your first 10 paying customers?",
+  ],
+  3: [],
+};
+
+const INTERVIEW_PATTERN =
+  /\b(interview\w*|talked to|spoke (to|with)|asked|survey\w*|customers? (said|told)|feedback from)\b/gi;
+const COMPETITOR_PATTERN =
+  /\b(competitor\w*|competition|alternative\w*|similar|compared|already (use|sell|buy)\w*|instead of)\b/gi;
+
+// Common words ignored when checking whether an action item was addressed
+const ACTION_ITEM_STOPWORDS = [
+  "your",
+  "with",
+  "that",
+  "this",
+  "from",
+  "have",
+  "least",
+  "more",
+  "each",
+  "into",
+  "about",
+  "consider",
+  "already",
+  "haven't",
+];
+
+function rubricWords(text) {
+  return (text || "").toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+}
+
+function answerText(entry) {
+  return `${entry.answer || ""} ${entry.transcript || ""}`.trim();
+}
+
+// Non-empty written answers; entries without a type are treated as text
+function writtenAnswers(answers) {
+  return answers.filter(
+    (entry) =>
+      (!entry.type || RUBRIC_TEXT_TYPES.includes(entry.type)) &&
+      answerText(entry)
+  );
+}
+
+function countMatches(text, pattern) {
+  return (text.match(pattern) || []).length;
+}
+
+// Numbers, currency and capitalised words that are not sentence starts
+function countSpecifics(text) {
+  const numbers = countMatches(text, /\d+([.,]\d+)?/g);
+  const currency = countMatches(text, /[₹$€£%]/g);
+  const names = countMatches(text, /[^.!?\s]\s+[A-Z][a-z]{2,}/g);
+  return numbers + currency + names;
+}
+
+function measureCriteria({ answers, previousDrafts }) {
+  const texts = writtenAnswers(answers).map(answerText);
+  const allText = texts.join(" ");
+  const wordCounts = texts.map((t) => rubricWords(t).length);
+  const averageWords =
+    wordCounts.reduce((total, n) => total + n, 0) / (texts.length || 1);
+
+  const previous = previousDrafts[previousDrafts.length - 1];
+  let change = 0;
+  if (previous) {
+    const before = new Set(
+      rubricWords(writtenAnswers(previous.answers).map(answerText).join(" "))
+    );
+    const now = rubricWords(allText);
+    const newWords = now.filter((word) => !before.has(word)).length;
+    change = now.length ? Math.min(1, newWords / now.length / 0.5) : 0;
+  }
+
+  return {
+    depth: Math.min(1, averageWords / RUBRIC_TARGET_WORDS),
+    specificity: Math.min(
+      1,
+      countSpecifics(allText) / (texts.length * 1.5 || 1)
+    ),
+    interviews: Math.min(1, countMatches(allText, INTERVIEW_PATTERN) / 3),
+    competitors: Math.min(1, countMatches(allText, COMPETITOR_PATTERN) / 2),
+    change,
+  };
+}
+
+// Nearly every answer empty, one or two words, or a single repeated letter
+function isLowEffort(answers) {
+  const texts = writtenAnswers(answers).map(answerText);
+  const weak = texts.filter((text) => {
+    const words = rubricWords(text);
+    return words.length < 3 || /^(.)\1*$/i.test(text.replace(/\s/g, ""));
+  });
+  return texts.length === 0 || weak.length / texts.length > 0.7;
+}
+
+// The key words are English, so answers in another language or script
+// cannot be checked this way
+function isEnglishText(text, language) {
+  if (language && language !== "en") return false;
+  const letters = text.match(/\p{L}/gu) || [];
+  const latin = letters.filter((letter) => /[a-z]/i.test(letter)).length;
+  return latin >= letters.length * 0.8;
+}
+
+// Key-word check of the previous draft's action items against the new
+// answers: half the key words found counts as addressed, a quarter as
+// partial. Items that cannot be checked are "unknown", not "not_addressed".
+function reviewActionItems(actionItems, answers, language = "en") {
+  const text = answers.map(answerText).join(" ").toLowerCase();
+  const english = isEnglishText(text, language);
+
+  return actionItems.map((item) => {
+    const keywords = [...new Set(item.text.toLowerCase().match(/[a-z']{4,}/g))]
+      .filter((word) => !ACTION_ITEM_STOPWORDS.includes(word))
+      .map((word) => word.replace(/(ing|ed|es|s)$/, ""));
+    const matched = keywords.filter((word) => text.includes(word)).length;
+    const coverage = keywords.length ? matched / keywords.length : 0;
+
+    return {
+      id: item.id,
+      status:
+        !english || keywords.length === 0
+          ? "unknown"
+          : coverage >= 0.5
+          ? "addressed"
+          : coverage >= 0.25
+          ? "partial"
+          : "not_addressed",
+      note: null,
+    };
+  });
+}
+
+function scoreDraft(gradeRequest) {
+  const { draftNumber, answers, previousDrafts, language } = gradeRequest;
+  const weights = RUBRIC_WEIGHTS[draftNumber];
+  const measures = measureCriteria(gradeRequest);
+
+  const pros = [];
+  const cons = [];
+  const nextSteps = [];
+  let weighted = 0;
+
+  Object.keys(weights).forEach((name) => {
+    if (!weights[name]) return;
+    weighted += weights[name] * measures[name];
+
+    const criterion = RUBRIC_CRITERIA[name];
+    if (measures[name] >= 0.6) {
+      pros.push(criterion.pro);
+    } else {
+      cons.push(criterion.con);
+      nextSteps.push(criterion.nextStep);
+    }
+  });
+
+  const lowEffort = isLowEffort(answers);
+  const previous = previousDrafts[previousDrafts.length - 1];
+  const score = lowEffort ? 40 : 70 + Math.round(28 * weighted);
+
+  if (pros.length === 0)
+    pros.push("You completed every question in this draft");
+  if (
+    draftNumber === 1 &&
+    !nextSteps.includes(RUBRIC_CRITERIA.interviews.nextStep)
+  ) {
+    nextSteps.push(RUBRIC_CRITERIA.interviews.nextStep);
+  }
+
+  // Lower scores get more detailed feedback, as with the AI grader
+  const minimumPoints = score < 80 ? 3 : 1;
+  RUBRIC_FALLBACK_STEPS.forEach((step) => {
+    if (nextSteps.length < minimumPoints) nextSteps.push(step);
+  });
+  [
+    "Answers could go deeper on how your idea works in practice",
+    "It is not yet clear why customers would choose your product",
+    "Your plan for the next few weeks could be more concrete",
+  ].forEach((con) => {
+    if (cons.length < minimumPoints) cons.push(con);
+  });
+
+  return {
+    score,
+    pros,
+    cons,
+    nextSteps,
+    nextDraftQuestions: RUBRIC_NEXT_DRAFT_QUESTIONS[draftNumber],
+    encouragement:
+      "This is an offline estimate - your full AI feedback will arrive when you're back online.",
+    aiLikely: false,
+    belowFloorReason: lowEffort
+      ? "Most answers are empty or only a few letters"
+      : null,
+    // Unchecked items are left out, as a grader that skips them would
+    actionItemReview: previous
+      ? reviewActionItems(previous.actionItems || [], answers, language).filter(
+          (review) => review.status !== "unknown"
+        )
+      : [],
+  };
+}
+
+const Rubric = {
+  RUBRIC_VERSION,
+  scoreDraft,
+  reviewActionItems,
+};
+
+// Export for potential external use
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = Rubric;
+}
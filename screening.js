@@ -0,0 +1,189 @@
+// Capsera PWA - Answer Screening
+// Local checks run before a draft is graded: repeated-letter spam, the same
+// answer pasted into several questions, and personal identifiers that
+// should not end up in a published project. Everything here is a warning
+// the user can edit or submit past, so ordinary numbers and prices must not
+// trip it.
+
+// Question types whose answers are free text worth screening
+const SCREENED_TYPES = ["text", "textarea", "url", "email"];
+
+// Shortest answer (in words) that counts as copy-pasted when repeated
+const DUPLICATE_MIN_WORDS = 3;
+
+// A run of one letter only counts as spam once it is this long, or the
+// answer has this many letters; short words like "All" or "Too" are fine
+const SPAM_MIN_RUN = 4;
+const SPAM_MIN_LETTERS = 5;
+
+// Verhoeff tables; every valid Aadhaar number passes this checksum, which
+// keeps other 12-digit numbers from being flagged
+const VERHOEFF_D = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+  [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+  [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+  [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+  [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+  [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0],
+];
+const VERHOEFF_P = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+  [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+  [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+  [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+  [7, 0, 4, 6, 9, 1, 3, 2, 5, 8],
+];
+
+// Each pattern describes one kind of identifier. A bare 10-digit number can
+// be an order number, a count or revenue, so a phone number needs a cue
+// ("+91", "call", "whatsapp", "mob", "ph") or phone-style grouping such as
+// "98765 43210". Numbers right after a currency sign are prices.
+const PERSONAL_PATTERNS = [
+  {
+    what: "an Aadhaar number",
+    pattern: /\b[2-9]\d{3}[ -]?\d{4}[ -]?\d{4}\b/g,
+    check: (match) => isVerhoeffValid(match.replace(/\D/g, "")),
+  },
+  {
+    what: "a phone number",
+    pattern:
+      /(\+91[ -]?|\b(call|whatsapp|mob(ile)?|ph(one)?)\b[^\d\n]{0,15}(\+91[ -]?)?)[6-9]\d{4}[ -]?\d{5}\b|\b[6-9]\d{4}[ -]\d{5}\b|\b[6-9]\d{2}[ -]\d{3}[ -]\d{4}\b/gi,
+    check: (match, text, index) =>
+      !/(₹|rs\.?|inr|\$)\s*$/i.test(text.slice(Math.max(0, index - 4), index)),
+  },
+  {
+    what: "an email address",
+    pattern: /[\w.+-]+@[\w-]+\.[\w.-]+/g,
+    skipTypes: ["email"],
+  },
+  {
+    what: "a PAN number",
+    pattern: /\b[A-Z]{5}\d{4}[A-Z]\b/g,
+  },
+  {
+    what: "a home address",
+    pattern:
+      /\b(house|flat|door|plot|h\.)\s*(no\.?|number|#)\s*[\w/-]+|\bpin\s*(code)?\s*[:-]?\s*\d{6}\b/gi,
+  },
+];
+
+function isVerhoeffValid(digits) {
+  let check = 0;
+  digits
+    .split("")
+    .reverse()
+    .forEach((digit, i) => {
+      check = VERHOEFF_D[check][VERHOEFF_P[i % 8][Number(digit)]];
+    });
+  return check === 0;
+}
+
+function normalizeAnswer(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// "eeee", "e e e", "aaaaaaaaab" or "asdf asdf asdf asdf". A long run of
+// one letter only counts when it is most of the answer ("sooooo good" is
+// fine), and answers with fewer than two letters ("5", "0") never count.
+function isRepeatedSpam(text) {
+  if ((text.match(/\p{L}/gu) || []).length < 2) return false;
+
+  const letters = text.replace(/\s/g, "").toLowerCase();
+  if (new Set(letters).size === 1) return true;
+
+  const longestRun = (letters.match(/(\p{L})\1*/gu) || []).reduce(
+    (longest, run) => Math.max(longest, run.length),
+    0
+  );
+  if (
+    (longestRun >= SPAM_MIN_RUN || letters.length >= SPAM_MIN_LETTERS) &&
+    longestRun > letters.length * 0.6
+  ) {
+    return true;
+  }
+
+  const words = normalizeAnswer(text).split(" ");
+  return words.length >= 4 && new Set(words).size <= 2;
+}
+
+function findPersonalInfo(text, type) {
+  const found = [];
+
+  PERSONAL_PATTERNS.forEach(({ what, pattern, check, skipTypes }) => {
+    if (skipTypes && skipTypes.includes(type)) return;
+
+    for (const match of text.matchAll(pattern)) {
+      if (!check || check(match[0], text, match.index)) {
+        found.push(what);
+        return;
+      }
+    }
+  });
+
+  return found;
+}
+
+// answers: [{ id, label, type, answer }] in question order.
+// Returns [{ questionId, kind, message }], empty when nothing looks wrong.
+function screenAnswers(answers) {
+  const issues = [];
+  const seen = new Map();
+
+  answers
+    .filter((a) => SCREENED_TYPES.includes(a.type) && a.answer)
+    .forEach(({ id, label, type, answer }) => {
+      if (isRepeatedSpam(answer)) {
+        issues.push({
+          questionId: id,
+          kind: "spam",
+          message:
+            "This looks like repeated letters. Please write a real answer so the feedback can help you.",
+        });
+      }
+
+      const normalized = normalizeAnswer(answer);
+      if (normalized.split(" ").length >= DUPLICATE_MIN_WORDS) {
+        if (seen.has(normalized)) {
+          issues.push({
+            questionId: id,
+            kind: "duplicate",
+            message: `This is the same answer as "${seen.get(
+              normalized
+            )}". Each question asks something different.`,
+          });
+        } else {
+          seen.set(normalized, label);
+        }
+      }
+
+      findPersonalInfo(answer, type).forEach((what) => {
+        issues.push({
+          questionId: id,
+          kind: "personal",
+          message: `This looks like ${what}. Please remove it - your final draft may be shared with mentors and on the Global Ideas page.`,
+        });
+      });
+    });
+
+  return issues;
+}
+
+const Screening = {
+  screenAnswers,
+};
+
+// Export for potential external use
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = Screening;
+}
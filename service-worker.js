@@ -1,19 +1,30 @@
 // Capsera PWA Service Worker
 // Provides offline functionality and caching
 
-const CACHE_NAME = "capsera-v1.0.0";
-const STATIC_CACHE_NAME = "capsera-static-v1.0.0";
-const DATA_CACHE_NAME = "capsera-data-v1.0.0";
+// Shared IndexedDB layer, for draining the submission outbox
+importScripts("/db.js");
+
+const CACHE_NAME = "capsera-v1.7.0";
+const STATIC_CACHE_NAME = "capsera-static-v1.7.0";
+const DATA_CACHE_NAME = "capsera-data-v1.7.0";
 
 // Files to cache for offline use (App Shell)
 const STATIC_FILES = [
   "/",
   "/index.html",
   "/styles.css",
+  "/db.js",
+  "/questions.js",
+  "/grading-contract.js",
+  "/rubric.js",
+  "/screening.js",
   "/app.js",
   "/manifest.json",
   // Supabase client from CDN
   "https://cdnjs.cloudflare.com/ajax/libs/supabase-js/2.38.4/supabase.min.js",
+  // QR libraries for offline device-to-device transfer
+  "https://cdn.jsdelivr.net/npm/qrcode-generator@1.4.4/qrcode.js",
+  "https://cdn.jsdelivr.net/npm/jsqr@1.4.0/dist/jsQR.js",
 ];
 
 // API endpoints to cache
@@ -252,112 +263,30 @@ function isSupabaseAPI(url) {
 self.addEventListener("sync", (event) => {
   console.log("[ServiceWorker] Background sync:", event.tag);
 
-  if (event.tag === "submit-feedback") {
-    event.waitUntil(syncFeedback());
-  } else if (event.tag === "submit-project") {
-    event.waitUntil(syncProjects());
+  if (event.tag === "outbox") {
+    event.waitUntil(syncOutbox());
   }
 });
 
-// Sync feedback submissions when back online
-async function syncFeedback() {
-  try {
-    // Get pending feedback from IndexedDB or localStorage
-    const pendingFeedback = JSON.parse(
-      localStorage.getItem("pending_feedback") || "[]"
-    );
-
-    if (pendingFeedback.length === 0) {
-      return;
-    }
-
-    // Try to submit each pending feedback
-    const results = await Promise.allSettled(
-      pendingFeedback.map(async (feedback) => {
-        const response = await fetch("/rest/v1/feedback", {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            // Add auth headers if needed
-          },
-          body: JSON.stringify(feedback),
-        });
-
-        if (!response.ok) {
-          throw new Error(`HTTP ${response.status}`);
-        }
-
-        return feedback;
-      })
-    );
-
-    // Remove successfully submitted feedback
-    const successfulSubmissions = results
-      .filter((result) => result.status === "fulfilled")
-      .map((result) => result.value);
-
-    const remainingFeedback = pendingFeedback.filter(
-      (feedback) => !successfulSubmissions.includes(feedback)
-    );
-
-    localStorage.setItem("pending_feedback", JSON.stringify(remainingFeedback));
-
-    console.log(
-      `[ServiceWorker] Synced ${successfulSubmissions.length} feedback submissions`
-    );
-  } catch (error) {
-    console.error("[ServiceWorker] Feedback sync failed:", error);
+// Send feedback, final projects and mentor requests queued by the app.
+// Rejecting tells the browser to retry the sync later with back-off.
+async function syncOutbox() {
+  const db = new CapseraDB();
+  const config = await db.getMeta("supabaseConfig");
+  if (!config) {
+    console.log("[ServiceWorker] No Supabase config yet, skipping outbox");
+    return;
   }
-}
 
-// Sync project submissions when back online
-async function syncProjects() {
-  try {
-    // Get pending projects from localStorage
-    const pendingProjects = JSON.parse(
-      localStorage.getItem("pending_projects") || "[]"
-    );
+  const { sent, retry } = await db.drainOutbox(config);
+  console.log(`[ServiceWorker] Sent ${sent} outbox items`);
 
-    if (pendingProjects.length === 0) {
-      return;
-    }
-
-    // Try to submit each pending project
-    const results = await Promise.allSettled(
-      pendingProjects.map(async (project) => {
-        const response = await fetch("/rest/v1/projects_final", {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            // Add auth headers if needed
-          },
-          body: JSON.stringify(project),
-        });
-
-        if (!response.ok) {
-          throw new Error(`HTTP ${response.status}`);
-        }
-
-        return project;
-      })
-    );
-
-    // Remove successfully submitted projects
-    const successfulSubmissions = results
-      .filter((result) => result.status === "fulfilled")
-      .map((result) => result.value);
-
-    const remainingProjects = pendingProjects.filter(
-      (project) => !successfulSubmissions.includes(project)
-    );
-
-    localStorage.setItem("pending_projects", JSON.stringify(remainingProjects));
-
-    console.log(
-      `[ServiceWorker] Synced ${successfulSubmissions.length} project submissions`
-    );
-  } catch (error) {
-    console.error("[ServiceWorker] Project sync failed:", error);
+  if (sent > 0) {
+    const clients = await self.clients.matchAll();
+    clients.forEach((client) => client.postMessage({ type: "OUTBOX_SENT" }));
+  }
+  if (retry) {
+    throw new Error("Some outbox items could not be sent yet");
   }
 }
 
@@ -414,43 +343,11 @@ self.addEventListener("message", (event) => {
       });
       break;
 
-    case "CACHE_FEEDBACK":
-      // Store feedback for later sync
-      cacheFeedbackForSync(data);
-      break;
-
-    case "CACHE_PROJECT":
-      // Store project for later sync
-      cacheProjectForSync(data);
-      break;
-
     default:
       console.log("[ServiceWorker] Unknown message type:", type);
   }
 });
 
-// Cache feedback for background sync
-function cacheFeedbackForSync(feedback) {
-  const pending = JSON.parse(localStorage.getItem("pending_feedback") || "[]");
-  pending.push({
-    ...feedback,
-    timestamp: Date.now(),
-    id: Math.random().toString(36).substring(2),
-  });
-  localStorage.setItem("pending_feedback", JSON.stringify(pending));
-}
-
-// Cache project for background sync
-function cacheProjectForSync(project) {
-  const pending = JSON.parse(localStorage.getItem("pending_projects") || "[]");
-  pending.push({
-    ...project,
-    timestamp: Date.now(),
-    id: Math.random().toString(36).substring(2),
-  });
-  localStorage.setItem("pending_projects", JSON.stringify(pending));
-}
-
 // Clear all caches
 async function clearAllCaches() {
   const cacheNames = await caches.keys();
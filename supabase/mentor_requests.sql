@@ -0,0 +1,42 @@
+-- Capsera - Mentor requests
+-- Run in the Supabase SQL editor. The app inserts requests with the anon key
+-- and can only read back the status of requests whose ids it already knows.
+
+create table if not exists mentor_requests (
+  id bigint generated always as identity primary key,
+  request_id uuid not null unique,
+  local_user_name text not null,
+  project_name text not null,
+  final_score integer not null check (final_score between 0 and 100),
+  channel text not null check (channel in ('email', 'whatsapp', 'phone')),
+  contact text not null,
+  language text not null default 'en',
+  consented_at timestamptz not null,
+  -- Moved along by the team: sent -> matched -> contacted
+  status text not null default 'sent'
+    check (status in ('sent', 'matched', 'contacted')),
+  created_at timestamptz not null default now()
+);
+
+alter table mentor_requests enable row level security;
+
+-- Anyone may ask for a mentor, but only as a new, consented request
+create policy "anon can request a mentor"
+  on mentor_requests for insert
+  to anon
+  with check (status = 'sent' and consented_at is not null);
+
+-- No select policy: contact details are only visible to the team. The app
+-- reads statuses through this function instead.
+create or replace function mentor_request_status(request_ids uuid[])
+returns table (request_id uuid, status text)
+language sql
+security definer
+set search_path = public
+as $$
+  select m.request_id, m.status
+  from mentor_requests m
+  where m.request_id = any(request_ids);
+$$;
+
+grant execute on function mentor_request_status(uuid[]) to anon;
@@ -0,0 +1,19 @@
+-- Capsera - Project photos
+-- Run in the Supabase SQL editor. Final projects that share photos upload
+-- them with the anon key before the project row is sent, into a folder
+-- named after the submission_id. Photos are 1024px JPEGs made on the
+-- device, so the bucket only takes small images.
+
+insert into storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+values ('project-photos', 'project-photos', false, 2097152, array['image/jpeg'])
+on conflict (id) do nothing;
+
+-- Anyone may add photos, but only into this bucket
+create policy "anon can upload project photos"
+  on storage.objects for insert
+  to anon
+  with check (bucket_id = 'project-photos');
+
+-- No select, update or delete policy: photos are only visible to the team,
+-- and a resend finds its earlier uploads already there instead of
+-- replacing them.
@@ -0,0 +1,18 @@
+-- Capsera - Idempotent final submissions
+-- Run in the Supabase SQL editor. The app sends every final project with a
+-- submission_id made on the device and inserts with
+-- on_conflict=submission_id and resolution=ignore-duplicates, so a resend
+-- after a dropped connection does not create a second row. Ignoring
+-- duplicates needs no update policy for anon.
+
+alter table projects_final
+  add column if not exists submission_id uuid;
+
+-- Rows from before this change have no submission_id; nulls never conflict
+create unique index if not exists projects_final_submission_id_key
+  on projects_final (submission_id);
+
+-- Users quote a receipt code such as CAP-1A2B-3C4D: the first 8 hex digits
+-- of their submission_id. To look one up:
+--   select * from projects_final
+--   where submission_id::text like '1a2b3c4d%';